@@ -0,0 +1,106 @@
+const wp = require('webapi-parser')
+const sanitize = require('../')()
+
+const domain = wp.model.domain
+const XSD = 'http://www.w3.org/2001/XMLSchema#'
+
+/**
+ * Duration of every benchmark in milliseconds.
+ *
+ * @type {Number}
+ */
+const DURATION = Number(process.env.BENCHMARK_DURATION) || 1000
+
+function scalar (dataType) {
+  return new domain.ScalarShape().withDataType(XSD + dataType)
+}
+
+function property (name, shape) {
+  return new domain.PropertyShape().withName(name).withRange(shape)
+}
+
+/**
+ * The suites to run, each with the parameters and the input to sanitize.
+ *
+ * @type {Array}
+ */
+const SUITES = [
+  {
+    name: 'query parameters',
+    elements: [
+      property('page', scalar('integer')),
+      property('limit', scalar('integer').withDefaultStr('10')),
+      property('sort', scalar('string')),
+      property('active', scalar('boolean')),
+      property('score', scalar('float')),
+      property('since', scalar('dateTime'))
+    ],
+    input: {
+      page: '2',
+      sort: 'name',
+      active: 'true',
+      score: '4.5',
+      since: '2020-01-31T10:00:00Z'
+    }
+  },
+  {
+    name: 'large array',
+    elements: [
+      property('ids', new domain.ArrayShape().withItems(scalar('integer')))
+    ],
+    input: {
+      ids: Array.from({ length: 10000 }, (_, i) => String(i))
+    }
+  },
+  {
+    name: 'large object',
+    elements: [
+      property('metrics', new domain.NodeShape().withProperties([
+        property('id', scalar('string')),
+        property('/^m-/', scalar('double')).withPatternName('^m-')
+      ]))
+    ],
+    input: {
+      metrics: Array.from({ length: 1000 }).reduce((metrics, _, i) => {
+        metrics[`m-${i}`] = String(i / 10)
+        return metrics
+      }, { id: 'abc' })
+    }
+  }
+]
+
+/**
+ * Execute a function repeatedly for the benchmark duration.
+ *
+ * @param  {Function} fn
+ * @param  {Object}   input
+ * @return {Number}   Operations per second
+ */
+function measure (fn, input) {
+  const end = Date.now() + DURATION
+  let ops = 0
+
+  while (Date.now() < end) {
+    fn(input)
+    ops++
+  }
+
+  return ops / DURATION * 1000
+}
+
+wp.WebApiParser.init().then(() => {
+  SUITES.forEach(suite => {
+    const closures = sanitize(suite.elements)
+    const compiled = sanitize.compile(suite.elements)
+    const results = {
+      closures: measure(closures, suite.input),
+      compiled: measure(compiled, suite.input)
+    }
+
+    console.log(suite.name)
+    Object.keys(results).forEach(name => {
+      console.log(`  ${name.padEnd(8)} ${Math.round(results[name])} ops/sec`)
+    })
+    console.log(`  speedup  ${(results.compiled / results.closures).toFixed(2)}x`)
+  })
+})
@@ -0,0 +1,776 @@
+/**
+ * Create the state of a compilation, collecting the declarations of the
+ * generated source and the names of the types, rules, annotations and
+ * declared types it uses.
+ *
+ * @param  {Function} sanitize
+ * @return {Object}
+ */
+function createScope (sanitize) {
+  return {
+    sanitize: sanitize,
+    settings: sanitize.options,
+    declarations: [],
+    uses: { types: {}, rules: {}, annotations: {}, declaredTypes: {} },
+    refs: {},
+    id: 0
+  }
+}
+
+/**
+ * Compile the normalization of string values with the settings of the
+ * instance, like `normalizeString`.
+ *
+ * @param  {Object}         scope
+ * @return {Array.<String>}
+ */
+function compileNormalize (scope) {
+  const settings = scope.settings
+  const lines = []
+
+  if (settings.trimStrings) {
+    lines.push(
+      "if (typeof value === 'string') {",
+      '  value = value.trim()',
+      '}'
+    )
+  }
+  if (settings.emptyStringAsNull) {
+    lines.push(
+      "if (value === '') {",
+      '  value = null',
+      '}'
+    )
+  }
+  return lines
+}
+
+/**
+ * Compile the handling of a failed sanitization with the error policy of the
+ * instance, the body of a `catch (e)` block. Thrown errors carry the JSON
+ * pointer of the value, like `toFailure`.
+ *
+ * @param  {Object}         scope
+ * @param  {String}         error Expression of the error
+ * @param  {String}         path  Expression of the JSON pointer
+ * @return {Array.<String>}
+ */
+function compileFailure (scope, error, path) {
+  if (scope.settings.onError === 'null') {
+    return ['return null']
+  }
+  if (scope.settings.onError === 'throw') {
+    return [
+      `const error = ${error}`,
+      'if (error instanceof Error && error.path === undefined) {',
+      `  error.path = ${path}`,
+      '}',
+      'throw error'
+    ]
+  }
+  // Unsafe values are never kept, like `recoverFailure`.
+  return [
+    `if (${error}.unsafe) {`,
+    '  return null',
+    '}'
+  ]
+}
+
+/**
+ * Declare the functions creating the traces of nested values and the
+ * contexts of types and rules, once per source, like `childTrace` and
+ * `toContext`.
+ *
+ * @param  {Object} scope
+ * @return {Object} Names of the `child` and `context` functions
+ */
+function compileTraceHelpers (scope) {
+  if (!scope.trace) {
+    const child = declare(scope, 'f', name => [
+      `function ${name} (trace, key, parent) {`,
+      "  const base = trace || { path: '', root: parent }",
+      String.raw`  const token = String(key).replace(/~/g, '~0').replace(/\//g, '~1')`,
+      "  return { path: base.path + '/' + token, root: base.root, parent: parent }",
+      '}'
+    ].join('\n'))
+
+    const context = declare(scope, 'f', name => [
+      `function ${name} (trace, config, value, object) {`,
+      '  return trace',
+      '    ? { path: trace.path, root: trace.root, parent: trace.parent, config: config }',
+      "    : { path: '', root: value, parent: object, config: config }",
+      '}'
+    ].join('\n'))
+
+    scope.trace = { child, context }
+  }
+  return scope.trace
+}
+
+/**
+ * Declare a constant or a function in the generated source.
+ *
+ * @param  {Object}   scope
+ * @param  {String}   prefix
+ * @param  {Function} source Returns the source of the declaration by name
+ * @return {String}
+ */
+function declare (scope, prefix, source) {
+  const name = reserve(scope, prefix)
+  scope.declarations.push(source(name))
+  return name
+}
+
+/**
+ * Reserve a unique name in the generated source.
+ *
+ * @param  {Object} scope
+ * @param  {String} prefix
+ * @return {String}
+ */
+function reserve (scope, prefix) {
+  return `${prefix}${scope.id++}`
+}
+
+/**
+ * Indent every line of a source.
+ *
+ * @param  {Array.<String>} lines
+ * @param  {String}         prefix
+ * @return {String}
+ */
+function indent (lines, prefix) {
+  return lines.map(line => line ? prefix + line : line).join('\n')
+}
+
+/**
+ * Compile the sanitization of an object from the config of its parameters,
+ * returning the name of the generated function.
+ *
+ * @param  {Object}         scope
+ * @param  {Array.<Object>} configs
+ * @param  {Object}         options
+ * @return {String}
+ */
+function compileObject (scope, configs, options) {
+  const name = reserve(scope, 'o')
+  const nil = scope.sanitize.TYPES.nil
+  scope.uses.types.nil = true
+  const missing = !!(nil && nil.missing)
+  const declared = []
+  const patterns = []
+  const nested = []
+  const lines = [
+    'input = input || {}',
+    'const sanitized = {}'
+  ]
+
+  // Register the types referenced by recursive types.
+  if (options.id) {
+    scope.refs[options.id] = name
+  }
+
+  configs.forEach(config => {
+    if (config.style) {
+      throw new TypeError(
+        `Parameter styles are not supported by compiled sanitizers: ${config.name}`
+      )
+    }
+
+    const fn = compileValue(scope, config, options.arrayFormats[config.name])
+
+    if (config.patternName) {
+      patterns.push({ pattern: config.patternName, fn: fn })
+      return
+    }
+
+    const key = JSON.stringify(config.name)
+    if (declared.push(config.name) === 1) {
+      lines.push('let value')
+    }
+    const trace = `${compileTraceHelpers(scope).child}(trace, ${key}, input)`
+
+    // Nested objects can be flattened into bracket or dot-notation keys.
+    if (config.properties) {
+      const helpers = compileNestedHelpers(scope)
+      nested.push(key)
+      lines.push(
+        `if ((value = ${helpers.decode}(input, ${key})) !== undefined) {`,
+        `  sanitized[${key}] = ${fn}(value, ${key}, input, ${trace})`
+      )
+    } else {
+      lines.push(
+        `if (hasOwnProperty.call(input, ${key})) {`,
+        `  sanitized[${key}] = ${fn}(input[${key}], ${key}, input, ${trace})`
+      )
+    }
+    lines.push(
+      `} else if ((value = ${fn}(null, ${key}, input, ${trace})) !== null) {`,
+      `  sanitized[${key}] = value`,
+      '}'
+    )
+    // Sanitize missing parameters accepting `nil` into `null`.
+    if (missing && [].concat(config.type).indexOf('nil') > -1) {
+      lines.splice(lines.length - 1, 1,
+        '} else {',
+        `  sanitized[${key}] = null`,
+        '}'
+      )
+    }
+  })
+
+  // Sanitize undeclared keys matching a pattern, keeping the remaining keys
+  // as-is when additional properties are allowed.
+  if (patterns.length > 0 || options.additionalProperties) {
+    const names = declare(scope, 'd', name => {
+      return `const ${name} = new Set(${JSON.stringify(declared)})`
+    })
+
+    lines.push(
+      'const keys = Object.keys(input)',
+      'for (let i = 0; i < keys.length; i++) {',
+      '  const key = keys[i]',
+      `  if (${names}.has(key) || key === '__proto__' || key === 'constructor' || key === 'prototype') {`,
+      '    continue',
+      '  }'
+    )
+    nested.forEach(key => {
+      lines.push(
+        `  if (${compileNestedHelpers(scope).path}(${key}, key)) {`,
+        '    continue',
+        '  }'
+      )
+    })
+    patterns.forEach(({ pattern, fn }) => {
+      const regexp = declare(scope, 'p', name => {
+        return `const ${name} = new RegExp(${JSON.stringify(pattern)})`
+      })
+      lines.push(
+        `  if (${regexp}.test(key)) {`,
+        `    sanitized[key] = ${fn}(input[key], key, input, ${compileTraceHelpers(scope).child}(trace, key, input))`,
+        '    continue',
+        '  }'
+      )
+    })
+    if (options.additionalProperties) {
+      lines.push('  sanitized[key] = input[key]')
+    }
+    lines.push('}')
+  }
+
+  lines.push('return sanitized')
+
+  scope.declarations.push(
+    `function ${name} (input, key, object, trace) {\n${indent(lines, '  ')}\n}`
+  )
+  return name
+}
+
+/**
+ * Compile the sanitization of a parameter config, depending on whether it is
+ * a reference, a union of objects, an object or else.
+ *
+ * @param  {Object} scope
+ * @param  {Object} config
+ * @param  {String} [arrayFormat]
+ * @return {String}
+ */
+function compileValue (scope, config, arrayFormat) {
+  // Redacted values are replaced as a whole, nested objects included.
+  if (isRedacted(config)) {
+    return compileRule(scope, config, arrayFormat)
+  }
+  if (config.$ref && scope.refs[config.$ref]) {
+    return compileReference(scope, scope.refs[config.$ref])
+  }
+  if (config.anyOf) {
+    return compileUnion(scope, config)
+  }
+  if (config.properties) {
+    return compileNested(scope, config, compileObject(scope, config.properties, {
+      arrayFormats: {},
+      additionalProperties: config.additionalProperties !== undefined
+        ? config.additionalProperties
+        : !scope.settings.dropUnknown,
+      id: config.$id
+    }))
+  }
+  return compileRule(scope, config, arrayFormat)
+}
+
+/**
+ * Compile the sanitization of a nested object, parsing JSON strings and
+ * replacing missing objects with their default, or with an empty object.
+ *
+ * @param  {Object} scope
+ * @param  {Object} config
+ * @param  {String} fn     Name of the function of the object properties
+ * @return {String}
+ */
+function compileNested (scope, config, fn) {
+  const data = declare(scope, 'c', name => {
+    return `const ${name} = ${JSON.stringify(config)}`
+  })
+  const object = declare(scope, 't', name => `const ${name} = TYPES.object`)
+  scope.uses.types.object = true
+
+  return declare(scope, 's', name => {
+    const lines = compileNormalize(scope)
+    const failure = compileFailure(scope, 'e', 'context.path')
+
+    lines.push(
+      'if (value === null || value === undefined) {',
+      config.default !== undefined && scope.settings.applyDefaults
+        ? `  value = ${data}.default`
+        : '  value = {}',
+      '}',
+      "if (typeof value === 'string') {",
+      `  const context = ${compileTraceHelpers(scope).context}(trace, ${data}, value, object)`,
+      '  try {',
+      `    value = ${object}(value, key, object, ${data}, context)`,
+      '  } catch (e) {',
+      indent(scope.settings.onError === 'keep' ? failure.concat('return value') : failure, '    '),
+      '  }',
+      '}',
+      `return ${fn}(value, key, object, trace)`
+    )
+
+    return `function ${name} (value, key, object, trace) {\n${indent(lines, '  ')}\n}`
+  })
+}
+
+/**
+ * Declare the functions decoding nested objects flattened into bracket or
+ * dot-notation keys, once per source.
+ *
+ * @param  {Object} scope
+ * @return {Object} Names of the `path` and `decode` functions
+ */
+function compileNestedHelpers (scope) {
+  if (!scope.nested) {
+    const path = declare(scope, 'f', name => [
+      `function ${name} (name, key) {`,
+      '  if (key.indexOf(name) !== 0 || key.length === name.length) {',
+      '    return',
+      '  }',
+      '  const rest = key.slice(name.length)',
+      '  const path = []',
+      String.raw`  const regexp = /\[([^\]]+)\]|\.([^.[\]]+)/y`,
+      '  let match',
+      '  while (regexp.lastIndex < rest.length && (match = regexp.exec(rest))) {',
+      '    path.push(match[1] === undefined ? match[2] : match[1])',
+      '  }',
+      '  if (regexp.lastIndex !== rest.length || path.some(segment => {',
+      "    return segment === '__proto__' || segment === 'constructor' || segment === 'prototype'",
+      '  })) {',
+      '    return',
+      '  }',
+      '  return path',
+      '}'
+    ].join('\n'))
+
+    const decode = declare(scope, 'f', name => [
+      `function ${name} (input, name) {`,
+      '  if (hasOwnProperty.call(input, name)) {',
+      '    return input[name]',
+      '  }',
+      '  let obj',
+      '  const keys = Object.keys(input)',
+      '  for (let i = 0; i < keys.length; i++) {',
+      `    const path = ${path}(name, keys[i])`,
+      '    if (path) {',
+      '      obj = obj || {}',
+      '      let target = obj',
+      '      for (let j = 0; j < path.length - 1; j++) {',
+      '        const value = target[path[j]]',
+      '        if (value === null || value === undefined || value.constructor !== Object) {',
+      '          target[path[j]] = {}',
+      '        }',
+      '        target = target[path[j]]',
+      '      }',
+      '      target[path[path.length - 1]] = input[keys[i]]',
+      '    }',
+      '  }',
+      '  return obj',
+      '}'
+    ].join('\n'))
+
+    scope.nested = { path, decode }
+  }
+  return scope.nested
+}
+
+/**
+ * Compile the sanitization of a union of object types, selecting the member
+ * by its discriminator or by the best structural match.
+ *
+ * @param  {Object} scope
+ * @param  {Object} config
+ * @return {String}
+ */
+function compileUnion (scope, config) {
+  const union = Object.assign({}, config)
+  delete union.anyOf
+
+  const fn = compileRule(scope, union)
+  const score = compileScore(scope)
+  const members = config.anyOf
+    .filter(member => member.properties)
+    .map(member => {
+      const properties = member.properties.filter(property => !property.patternName)
+      const patterns = member.properties
+        .filter(property => property.patternName)
+        .map(property => `new RegExp(${JSON.stringify(property.patternName)})`)
+      const names = JSON.stringify(properties.map(property => property.name))
+      const required = JSON.stringify(properties
+        .filter(property => property.required)
+        .map(property => property.name))
+      const closed = member.additionalProperties === false
+
+      return {
+        config: member,
+        fn: compileValue(scope, member),
+        data: declare(scope, 'm', name => {
+          return [
+            `const ${name} = {`,
+            `  names: new Set(${names}),`,
+            `  required: ${required},`,
+            `  patterns: [${patterns.join(', ')}],`,
+            `  closed: ${closed}`,
+            '}'
+          ].join('\n')
+        })
+      }
+    })
+
+  return declare(scope, 's', name => {
+    const lines = [
+      `value = ${fn}(value, key, object, trace)`,
+      'if (value === null || value === undefined || value.constructor !== Object) {',
+      '  return value',
+      '}'
+    ]
+
+    members.forEach(({ config, fn }) => {
+      if (config.discriminator !== undefined) {
+        const discriminator = JSON.stringify(config.discriminator)
+        lines.push(
+          `if (value[${discriminator}] === ${JSON.stringify(config.discriminatorValue)}) {`,
+          `  return ${fn}(value, key, object, trace)`,
+          '}'
+        )
+      }
+    })
+
+    // Fall back to the best structural match.
+    lines.push(
+      'let max = -Infinity',
+      'let member',
+      'let score'
+    )
+    members.forEach(({ fn, data }) => {
+      lines.push(
+        `if ((score = ${score}(value, ${data})) > max) {`,
+        '  max = score',
+        `  member = ${fn}`,
+        '}'
+      )
+    })
+    lines.push('return member(value, key, object, trace)')
+
+    return `function ${name} (value, key, object, trace) {\n${indent(lines, '  ')}\n}`
+  })
+}
+
+/**
+ * Declare the function scoring the structural match of an object with a
+ * member of a union, once per source.
+ *
+ * @param  {Object} scope
+ * @return {String}
+ */
+function compileScore (scope) {
+  if (!scope.score) {
+    scope.score = declare(scope, 'f', name => {
+      return [
+        `function ${name} (value, member) {`,
+        '  let score = 0',
+        '  const keys = Object.keys(value)',
+        '  for (let i = 0; i < keys.length; i++) {',
+        '    const key = keys[i]',
+        '    if (member.names.has(key) || member.patterns.some(pattern => pattern.test(key))) {',
+        '      score++',
+        '    } else if (member.closed) {',
+        '      score--',
+        '    }',
+        '  }',
+        '  for (let i = 0; i < member.required.length; i++) {',
+        '    if (!hasOwnProperty.call(value, member.required[i])) {',
+        '      score--',
+        '    }',
+        '  }',
+        '  return score',
+        '}'
+      ].join('\n')
+    })
+  }
+  return scope.score
+}
+
+/**
+ * Compile a reference to a recursive type. Empty values are returned as-is,
+ * to stop the recursion.
+ *
+ * @param  {Object} scope
+ * @param  {String} fn    Name of the function of the type
+ * @return {String}
+ */
+function compileReference (scope, fn) {
+  return declare(scope, 's', name => {
+    return [
+      `function ${name} (value, key, object, trace) {`,
+      '  if (value === null || value === undefined) {',
+      '    return value',
+      '  }',
+      `  return ${fn}(value, key, object, trace)`,
+      '}'
+    ].join('\n')
+  })
+}
+
+/**
+ * Check if the values of a config are redacted by `(sanitize.redact)`, like
+ * `isRedacted` of the instance.
+ *
+ * @param  {Object}  config
+ * @return {Boolean}
+ */
+function isRedacted (config) {
+  const annotations = config.annotations || {}
+  return annotations['sanitize.redact'] !== undefined &&
+    annotations['sanitize.redact'] !== false
+}
+
+/**
+ * Compile the sanitization of a single parameter config, following the
+ * function chains of `toSanitization`, and return the name of the generated
+ * function.
+ *
+ * @param  {Object} scope
+ * @param  {Object} config
+ * @param  {String} [arrayFormat]
+ * @return {String}
+ */
+function compileRule (scope, config, arrayFormat) {
+  const sanitize = scope.sanitize
+
+  if (arrayFormat) {
+    config = Object.assign({}, config, { arrayFormat: arrayFormat })
+  }
+
+  const isUnion = Array.isArray(config.type)
+  const typesNames = isUnion
+    ? config.type.filter(type => type === 'nil')
+      .concat(config.type.filter(type => type !== 'nil'))
+    : [config.type]
+  const fns = []
+  const data = declare(scope, 'c', name => {
+    return `const ${name} = ${JSON.stringify(config)}`
+  })
+
+  // Redacted values are replaced without running the type and the other
+  // rules, like `toSanitization`.
+  const redacted = isRedacted(config)
+
+  // Types wrapped with the sanitizers of declared types are created by the
+  // instance running the source.
+  const types = sanitize.toTypes(config)
+  const typeSource = types === sanitize.TYPES ? 'TYPES' : `sanitize.toTypes(${data})`
+
+  if (types !== sanitize.TYPES) {
+    config.declaredTypes.forEach(name => {
+      if (Object.prototype.hasOwnProperty.call(sanitize.DECLARED_TYPES, name)) {
+        scope.uses.declaredTypes[name] = true
+      }
+    })
+  }
+
+  typesNames.forEach(type => {
+    if (!redacted && typeof types[type] === 'function') {
+      scope.uses.types[type] = true
+      fns.push(declare(scope, 't', name => {
+        return `const ${name} = ${typeSource}[${JSON.stringify(type)}]`
+      }))
+    }
+  })
+
+  // Rules of annotations are added by the instance running the source, and
+  // run before the facet rules.
+  const rules = sanitize.toRules(config)
+  const ruleSource = rules === sanitize.RULES ? 'RULES' : `sanitize.toRules(${data})`
+
+  Object.keys(config.annotations || {}).forEach(annotation => {
+    const rule = `(${annotation})`
+    if ((!redacted || rule === '(sanitize.redact)') && typeof rules[rule] === 'function') {
+      const key = JSON.stringify(rule)
+      scope.uses.annotations[annotation] = true
+      fns.push(declare(scope, 'r', name => {
+        return `const ${name} = ${ruleSource}[${key}](${data}.annotations[${JSON.stringify(annotation)}], ${key}, ${data})`
+      }))
+    }
+  })
+
+  Object.keys(config)
+    .filter(rule => rule !== 'type' && rule !== 'default' && rule !== 'annotations')
+    .forEach(rule => {
+      if (!redacted && typeof rules[rule] === 'function') {
+        const key = JSON.stringify(rule)
+        scope.uses.rules[rule] = true
+        fns.push(declare(scope, 'r', name => {
+          return `const ${name} = ${ruleSource}[${key}](${data}[${key}], ${key}, ${data})`
+        }))
+      }
+    })
+
+  const items = !redacted && config.type === 'array' && config.items
+    ? compileValue(scope, config.items)
+    : undefined
+
+  return declare(scope, 's', name => {
+    const lines = compileNormalize(scope)
+    const onError = scope.settings.onError
+
+    lines.push('if (value === null || value === undefined) {')
+    // Fallback to providing the default value instead.
+    lines.push(config.default !== undefined && scope.settings.applyDefaults
+      ? `  return ${name}(${data}.default, key, object, trace)`
+      : '  return value')
+    lines.push('}')
+
+    if (fns.length > 0) {
+      lines.push(
+        `const context = ${compileTraceHelpers(scope).context}(trace, ${data}, value, object)`)
+    }
+
+    if (isUnion) {
+      // Unions stop at the first successful sanitization, and only fail when
+      // every type failed.
+      lines.push('union: {')
+      if (onError === 'throw' && fns.length > 0) {
+        lines.push('  const messages = []')
+      }
+      if (onError === 'keep' && fns.length > 0) {
+        lines.push('  const failure = {}')
+      }
+      fns.forEach(fn => {
+        lines.push(
+          '  try {',
+          `    value = ${fn}(value, key, object, ${data}, context)`,
+          '    break union',
+          onError === 'null' ? '  } catch (e) {}' : '  } catch (e) {'
+        )
+        if (onError === 'throw') {
+          lines.push('    messages.push(e.message)', '  }')
+        }
+        if (onError === 'keep') {
+          lines.push('    failure.unsafe = failure.unsafe || e.unsafe', '  }')
+        }
+      })
+      const failure = compileFailure(scope, onError === 'keep'
+        ? 'failure'
+        : "new Error(messages.join(', '))", 'context.path')
+      if (fns.length > 0) {
+        lines.push(indent(failure, '  '))
+      }
+      lines.push('}')
+    } else if (fns.length > 0) {
+      const failure = compileFailure(scope, 'e', 'context.path')
+      // Arrays recover from a failed type sanitization by wrapping the value,
+      // unless the value is unsafe.
+      const recover = !redacted && config.type === 'array' &&
+        typeof sanitize.TYPES.array === 'function'
+
+      // Other sanitizations break when any function throws an error.
+      if (recover) {
+        lines.push(
+          'checked: {',
+          '  try {',
+          `    value = ${fns[0]}(value, key, object, ${data}, context)`,
+          '  } catch (e) {',
+          '    if (!e.unsafe) {',
+          '      break checked',
+          '    }',
+          indent(onError === 'keep' ? ['return null'] : failure, '    '),
+          '  }'
+        )
+        if (fns.length > 1) {
+          lines.push('  try {')
+          fns.slice(1).forEach(fn => {
+            lines.push(`    value = ${fn}(value, key, object, ${data}, context)`)
+          })
+          lines.push('  } catch (e) {', indent(failure, '    '), '  }')
+        }
+        lines.push('}')
+      } else {
+        lines.push('try {')
+        fns.forEach(fn => {
+          lines.push(`  value = ${fn}(value, key, object, ${data}, context)`)
+        })
+        lines.push('} catch (e) {', indent(failure, '  '), '}')
+      }
+    }
+
+    if (!redacted && config.type === 'array') {
+      lines.push(
+        'if (!Array.isArray(value)) {',
+        '  value = [value]',
+        '}'
+      )
+      // If any of the items are empty, refuse the sanitization.
+      if (items) {
+        lines.push(
+          'const result = new Array(value.length)',
+          'for (let i = 0; i < value.length; i++) {',
+          `  const item = ${items}(value[i], key, object, ${compileTraceHelpers(scope).child}(trace, i, value))`,
+          '  if (item === null || item === undefined) {',
+          '    return null',
+          '  }',
+          '  result[i] = item',
+          '}',
+          'value = result'
+        )
+      }
+    }
+
+    lines.push('return value')
+
+    return `function ${name} (value, key, object, trace) {\n${indent(lines, '  ')}\n}`
+  })
+}
+
+/**
+ * Compile the config of parameters into the source of a single specialised
+ * function. The source declares every function and constant it needs, using
+ * `sanitize`, `TYPES` and `RULES` from its scope, and ends with the name of
+ * the sanitizer, along with the names used from the instance in `uses`.
+ *
+ * @param  {Function}       sanitize
+ * @param  {Array.<Object>} configs
+ * @param  {Object}         [options]
+ * @return {Object}         `{ source, name, uses }`
+ */
+module.exports = function compile (sanitize, configs, options) {
+  const scope = createScope(sanitize)
+  const name = compileObject(scope, configs, {
+    arrayFormats: (options && options.arrayFormats) || {},
+    additionalProperties: !!(options && options.additionalProperties)
+  })
+
+  return {
+    source: [
+      'const hasOwnProperty = Object.prototype.hasOwnProperty'
+    ].concat(scope.declarations).join('\n\n'),
+    name: name,
+    uses: scope.uses
+  }
+}
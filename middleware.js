@@ -0,0 +1,277 @@
+const fs = require('fs')
+const path = require('path')
+const url = require('url')
+const querystring = require('querystring')
+
+/**
+ * Load the model of an API. File paths are parsed and resolved with
+ * `webapi-parser`, models are used as they are. The inheritance of declared
+ * types is recorded before resolution drops it. Files failing to load
+ * reject the promise.
+ *
+ * @param  {Function}                                     sanitize
+ * @param  {(String|webapi-parser.WebApiBaseUnit|Promise)} model
+ * @return {Promise.<webapi-parser.WebApiBaseUnit>}
+ */
+function loadModel (sanitize, model) {
+  if (typeof model !== 'string') {
+    return Promise.resolve(model)
+  }
+
+  const filename = path.resolve(model)
+  let wap
+  let parser
+
+  return new Promise(resolve => {
+    wap = require('webapi-parser').WebApiParser
+
+    const header = fs.readFileSync(filename, 'utf8').slice(0, 10)
+    parser = header === '#%RAML 0.8' ? wap.raml08 : wap.raml10
+    resolve(wap.init())
+  })
+    .catch(err => {
+      throw new Error(`Unable to load the API model "${filename}": ${err.message}`)
+    })
+    .then(() => parser.parse(url.pathToFileURL(filename).href))
+    .then(unit => {
+      sanitize.declareTypes(unit)
+      return parser.resolve(unit)
+    })
+}
+
+/**
+ * Compile a resource path template, like `/users/{userId}`, into a regular
+ * expression capturing the URI parameters.
+ *
+ * @param  {String} template
+ * @return {Object}
+ */
+function compileTemplate (template) {
+  const names = []
+  const source = template.split(/\{([^}]+)\}/).map((part, i) => {
+    if (i % 2 === 0) {
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    }
+    names.push(part)
+    return '([^/]+)'
+  }).join('')
+
+  return { names, regexp: new RegExp(`^${source}/?$`) }
+}
+
+/**
+ * Decode a URI component, keeping malformed components as they are.
+ *
+ * @param  {String} str
+ * @return {String}
+ */
+function decode (str) {
+  try {
+    return decodeURIComponent(str)
+  } catch (e) {
+    return str
+  }
+}
+
+/**
+ * Create the router of an API model, returning the sanitization of the
+ * matching operation and the URI parameters of a request.
+ *
+ * @param  {Function}                    sanitize
+ * @param  {webapi-parser.WebApiBaseUnit} model
+ * @return {Function}
+ */
+function createRouter (sanitize, model) {
+  const routes = model.encodes.endPoints.map(endPoint => {
+    const operations = {}
+    endPoint.operations.forEach(operation => {
+      operations[operation.method.value().toLowerCase()] = {
+        endPoint: endPoint,
+        operation: operation,
+        sanitization: sanitize.operation(operation, { endPoint, report: true })
+      }
+    })
+    return Object.assign(compileTemplate(endPoint.path.value()), { operations })
+  })
+
+  // Prefer literal paths (`/users/me`) to templates (`/users/{userId}`).
+  routes.sort((a, b) => a.names.length - b.names.length)
+
+  /**
+   * Find the operation matching a request.
+   *
+   * @param  {String} method
+   * @param  {String} pathname
+   * @return {Object}
+   */
+  return function (method, pathname) {
+    for (const route of routes) {
+      const match = route.regexp.exec(pathname)
+      const operation = match && route.operations[method.toLowerCase()]
+
+      if (operation) {
+        const params = {}
+        route.names.forEach((name, i) => {
+          params[name] = decode(match[i + 1])
+        })
+        return Object.assign({ params }, operation)
+      }
+    }
+  }
+}
+
+/**
+ * Create the handler shared by the middleware, sanitizing the parts of a
+ * request matching an operation of the model.
+ *
+ * @param  {Function} sanitize
+ * @param  {*}        model
+ * @param  {Object}   [options]
+ * @return {Function}
+ */
+function createHandler (sanitize, model, options) {
+  const basePath = ((options && options.basePath) || '').replace(/\/$/, '')
+  const ready = loadModel(sanitize, model).then(unit => createRouter(sanitize, unit))
+
+  // Avoid unhandled rejections before the first request.
+  ready.catch(() => {})
+
+  /**
+   * Sanitize a request, returning `undefined` when no operation matches.
+   *
+   * @param  {Object}  request
+   * @param  {String}  request.method
+   * @param  {String}  request.url
+   * @param  {Object}  [request.query]
+   * @param  {Object}  request.headers
+   * @param  {*}       [request.body]
+   * @return {Promise}
+   */
+  return function (request) {
+    return ready.then(router => {
+      const parsed = new url.URL(request.url, 'http://localhost')
+      let pathname = parsed.pathname
+
+      if (basePath) {
+        if (pathname.indexOf(basePath) !== 0) {
+          return
+        }
+        pathname = pathname.slice(basePath.length) || '/'
+      }
+
+      const route = router(request.method, pathname)
+      if (!route) {
+        return
+      }
+
+      const result = route.sanitization({
+        query: request.query || querystring.parse(parsed.search.slice(1)),
+        headers: request.headers,
+        path: route.params,
+        body: request.body
+      })
+
+      return {
+        value: result.value,
+        errors: result.errors,
+        coercions: result.coercions,
+        endPoint: route.endPoint,
+        operation: route.operation
+      }
+    })
+  }
+}
+
+/**
+ * Merge sanitized headers into the request headers, keeping undeclared
+ * headers and the lower case names of Node.js.
+ *
+ * @param  {Object} headers
+ * @param  {Object} sanitized
+ * @return {Object}
+ */
+function mergeHeaders (headers, sanitized) {
+  const merged = Object.assign({}, headers)
+  Object.keys(sanitized).forEach(name => {
+    merged[name.toLowerCase()] = sanitized[name]
+  })
+  return merged
+}
+
+/**
+ * Replace a property, even when it is a getter (Express 5, Koa).
+ *
+ * @param {Object} obj
+ * @param {String} key
+ * @param {*}      value
+ */
+function replace (obj, key, value) {
+  Object.defineProperty(obj, key, {
+    value: value,
+    writable: true,
+    configurable: true,
+    enumerable: true
+  })
+}
+
+/**
+ * Create a Connect and Express middleware sanitizing requests. The query,
+ * URI parameters, declared headers and body are replaced with the sanitized
+ * values, and the diagnostics are exposed as `req.sanitization`.
+ *
+ * @param  {Function} sanitize
+ * @param  {*}        model
+ * @param  {Object}   [options]
+ * @return {Function}
+ */
+exports.connect = function (sanitize, model, options) {
+  const handler = createHandler(sanitize, model, options)
+
+  return function (req, res, next) {
+    handler(req)
+      .then(result => {
+        if (result) {
+          replace(req, 'query', result.value.query)
+          req.params = result.value.path
+          req.headers = mergeHeaders(req.headers, result.value.headers)
+          req.body = result.value.body
+          req.sanitization = result
+        }
+      })
+      // Call `next` outside of the promise chain, so errors of the next
+      // middleware are not swallowed as rejections.
+      .then(() => process.nextTick(next), err => process.nextTick(next, err))
+  }
+}
+
+/**
+ * Create a Koa middleware sanitizing requests, like the Connect middleware.
+ * The diagnostics are exposed as `ctx.state.sanitization`.
+ *
+ * @param  {Function} sanitize
+ * @param  {*}        model
+ * @param  {Object}   [options]
+ * @return {Function}
+ */
+exports.koa = function (sanitize, model, options) {
+  const handler = createHandler(sanitize, model, options)
+
+  return function (ctx, next) {
+    return handler({
+      method: ctx.method,
+      url: ctx.url,
+      query: ctx.query,
+      headers: ctx.headers,
+      body: ctx.request.body
+    }).then(result => {
+      if (result) {
+        replace(ctx.request, 'query', result.value.query)
+        ctx.params = result.value.path
+        ctx.req.headers = mergeHeaders(ctx.req.headers, result.value.headers)
+        ctx.request.body = result.value.body
+        ctx.state.sanitization = result
+      }
+      return next()
+    })
+  }
+}
@@ -1,3 +1,45 @@
+/* global BigInt */
+const fs = require('fs')
+const path = require('path')
+const url = require('url')
+const vm = require('vm')
+const compile = require('./compile')
+const middleware = require('./middleware')
+
+/**
+ * Location of the library of the sanitization directives.
+ *
+ * @type {String}
+ */
+const ANNOTATIONS_LIBRARY = path.join(__dirname, 'annotations.raml')
+
+/**
+ * Largest finite single precision float.
+ *
+ * @type {Number}
+ */
+const FLOAT_MAX = 3.4028234663852886e38
+
+/**
+ * Range of 64-bit integers.
+ *
+ * @type {BigInt}
+ */
+const INT64_MIN = -(BigInt(2) ** BigInt(63))
+const INT64_MAX = BigInt(2) ** BigInt(63) - BigInt(1)
+
+/**
+ * Ranges of the sized integer formats.
+ *
+ * @type {Object}
+ */
+const INTEGER_RANGES = {
+  int8: [-128, 127],
+  int16: [-32768, 32767],
+  int32: [-2147483648, 2147483647],
+  int: [-2147483648, 2147483647]
+}
+
 /**
  * Check if a value is empty.
  *
@@ -9,13 +51,69 @@ function isEmpty (value) {
 }
 
 /**
- * Convert a value into a boolean.
+ * Create the sanitization of booleans with a policy. The `permissive` policy
+ * sanitizes anything but the falsy values into `true`, the `strict` policy
+ * only accepts `true`, `false`, `1` and `0` and fails otherwise. Both accept
+ * an additional vocabulary of truthy and falsy words, compared
+ * case-insensitively.
  *
- * @param  {String}  value
- * @return {Boolean}
+ * @param  {Object}         [options]
+ * @param  {String}         [options.policy] `"permissive"` (default) or `"strict"`
+ * @param  {Array.<String>} [options.truthy] Words sanitized into `true`
+ * @param  {Array.<String>} [options.falsy]  Words sanitized into `false`
+ * @return {Function}
+ */
+function toBooleanType (options) {
+  const policy = (options && options.policy) || 'permissive'
+  const truthy = (options && options.truthy) || []
+  const falsy = (options && options.falsy) || []
+
+  if (policy !== 'permissive' && policy !== 'strict') {
+    throw new TypeError(`Unknown boolean policy: ${policy}`)
+  }
+  if (!Array.isArray(truthy) || !Array.isArray(falsy)) {
+    throw new TypeError('Expected the truthy and falsy words to be arrays')
+  }
+
+  const truthyWords = ['true', '1'].concat(truthy.map(toWord))
+  const falsyWords = ['false', '0'].concat(falsy.map(toWord))
+  const permissiveWords = falsy.map(toWord)
+
+  /**
+   * Convert a value into a boolean.
+   *
+   * @param  {String}  value
+   * @return {Boolean}
+   */
+  return function toBoolean (value) {
+    if (typeof value === 'boolean') {
+      return value
+    }
+
+    const word = toWord(value)
+
+    if (policy === 'permissive') {
+      return [0, '', '0', 'false'].indexOf(value) === -1 &&
+        permissiveWords.indexOf(word) === -1
+    }
+    if (truthyWords.indexOf(word) > -1) {
+      return true
+    }
+    if (falsyWords.indexOf(word) > -1) {
+      return false
+    }
+    throw new Error('toBoolean: value is not a boolean')
+  }
+}
+
+/**
+ * Normalize a word of a boolean vocabulary.
+ *
+ * @param  {*}      value
+ * @return {String}
  */
-function toBoolean (value) {
-  return [0, false, '', '0', 'false'].indexOf(value) === -1
+function toWord (value) {
+  return String(value).trim().toLowerCase()
 }
 
 /**
@@ -32,18 +130,115 @@ function toNumber (value) {
   throw new Error('toNumber: value is not finite')
 }
 
+/**
+ * Convert a value into a single precision float. Values out of the float range
+ * will not sanitize.
+ *
+ * @param  {String} value
+ * @return {Number}
+ */
+function toFloat (value) {
+  value = toNumber(value)
+  if (Math.abs(value) > FLOAT_MAX) {
+    throw new Error('toFloat: value is out of range for float')
+  }
+  return value
+}
+
 /**
  * Convert a value into an integer. Use strict sanitization - if something is
- * not an integer, return `NaN`.
+ * not an integer, return `NaN`. Integers with a sized format are checked to
+ * be in range of the format.
  *
  * @param  {String} value
+ * @param  {String} [key]
+ * @param  {Object} [object]
+ * @param  {Object} [config]
  * @return {Number}
  */
-function toInteger (value) {
-  if (value % 1 === 0) {
-    return Number(value)
+function toInteger (value, key, object, config) {
+  if (value % 1 !== 0) {
+    throw new Error('toInteger: value is not a multiple of 1')
+  }
+  value = Number(value)
+  const range = config && INTEGER_RANGES[config.format]
+  if (range && (value < range[0] || value > range[1])) {
+    throw new Error(`toInteger: value is out of range for ${config.format}`)
+  }
+  return value
+}
+
+/**
+ * Create the sanitization of the `nil` type, converting the wire
+ * representations of null into `null`.
+ *
+ * @param  {Object}  [options]
+ * @param  {Array}   [options.values]  Values sanitized into `null`
+ * @param  {Boolean} [options.missing] Sanitize missing parameters into `null`
+ * @return {Function}
+ */
+function toNilType (options) {
+  const values = (options && options.values) || ['', 'null']
+
+  if (!Array.isArray(values)) {
+    throw new TypeError('Expected the nil values to be an array')
+  }
+
+  /**
+   * Convert a value into `null`.
+   *
+   * @param  {String} value
+   * @return {null}
+   */
+  function toNil (value) {
+    if (values.indexOf(value) > -1) {
+      return null
+    }
+    throw new Error('toNil: value is not null')
+  }
+
+  toNil.missing = !!(options && options.missing)
+  return toNil
+}
+
+/**
+ * Check if a parameter config accepts `nil`, like `string?` or `nil`.
+ *
+ * @param  {Object}  config
+ * @return {Boolean}
+ */
+function isNullable (config) {
+  return [].concat(config.type).indexOf('nil') > -1
+}
+
+/**
+ * Create the sanitization of 64-bit integers (`int64` and `long` formats).
+ * The values can not be represented by numbers without losing precision,
+ * so they sanitize into a `BigInt` or a normalized string.
+ *
+ * @param  {String}   [output] Either `"bigint"` (default) or `"string"`
+ * @return {Function}
+ */
+function toLongType (output) {
+  const asString = output === 'string'
+
+  /**
+   * Convert a value into a 64-bit integer.
+   *
+   * @param  {String}          value
+   * @return {(BigInt|String)}
+   */
+  return function toLong (value) {
+    const str = String(value).trim()
+    if (!/^[-+]?\d+$/.test(str)) {
+      throw new Error('toLong: value is not an integer')
+    }
+    const long = BigInt(str)
+    if (long < INT64_MIN || long > INT64_MAX) {
+      throw new Error('toLong: value is out of range for int64')
+    }
+    return asString ? long.toString() : long
   }
-  throw new Error('toInteger: value is not a multiple of 1')
 }
 
 /**
@@ -63,249 +258,3091 @@ function toDate (value) {
 }
 
 /**
- * Convert a value into an array.
+ * Convert a date into a string, the `rfc2616` format of RAML 0.8 dates.
  *
- * @param  {String} value
- * @return {Array}
+ * @param  {Date}   value
+ * @return {String}
  */
-function toArray (value) {
-  if (Array.isArray(value)) {
-    return value
-  }
-  try {
-    value = JSON.parse(value)
-  } catch (e) {
-    throw new Error(`toArray: ${e.toString()}`)
-  }
-  if (!Array.isArray(value)) {
-    throw new Error('toArray: parsed value is not an array')
-  }
-  return value
+function fromDate (value) {
+  return value instanceof Date ? value.toUTCString() : String(value)
 }
 
 /**
- * Convert a value into an object.
+ * Create the strict sanitizations of the RAML 1.0 date types.
  *
- * @param  {String} value
+ * @param  {Object}   [options]
+ * @param  {String}   [options.output]   `"date"`, `"iso"`, `"epoch"` or `"object"`
+ * @param  {String}   [options.timezone] Zone of `datetime-only`, `"local"`,
+ *                                       `"UTC"` or an offset like `"+02:00"`
  * @return {Object}
  */
-function toObject (value) {
-  if (value.constructor === {}.constructor) {
-    return value
-  }
-  try {
-    value = JSON.parse(value)
-  } catch (e) {
-    throw new Error(`toObject: ${e.toString()}`)
+function toDateTypes (options) {
+  options = options || {}
+
+  const output = options.output || 'date'
+  const timezone = options.timezone || 'local'
+
+  if (['date', 'iso', 'epoch', 'object'].indexOf(output) === -1) {
+    throw new TypeError(`Unknown date output: ${output}`)
   }
-  if (value.constructor !== {}.constructor) {
-    throw new Error('toObject: parsed value is not an object')
+  if (timezone !== 'local' && parseOffset(timezone) === undefined) {
+    throw new TypeError(`Unknown timezone: ${timezone}`)
   }
-  return value
-}
 
-/**
- * Convert the schema config into a single sanitization function.
- *
- * @param  {Object}   configs
- * @param  {Object}   rules
- * @param  {Object}   types
- * @return {Function}
- */
-function toSanitization (configs, rules, types) {
-  configs = Array.isArray(configs) ? configs : [configs]
+  /**
+   * Convert a date into the configured output.
+   *
+   * @param  {Date}   date
+   * @param  {Object} fields
+   * @return {*}
+   */
+  function toOutput (date, fields) {
+    if (output === 'iso') {
+      return date.toISOString()
+    }
+    if (output === 'epoch') {
+      return date.getTime()
+    }
+    if (output === 'object') {
+      return fields
+    }
+    return date
+  }
 
-  // Map configurations into function sanitization chains.
-  const sanitizations = configs.map(function (config) {
-    const fns = []
+  return {
+    /**
+     * Convert a `date-only` value (`YYYY-MM-DD`) into a date at UTC midnight.
+     *
+     * @param  {String} value
+     * @return {*}
+     */
+    dateOnly: function toDateOnly (value) {
+      const fields = value instanceof Date
+        ? dateToFields(value, true)
+        : parseFields(DATE_ONLY_REGEXP, String(value), 'toDateOnly')
+      const date = new Date(Date.UTC(fields.year, fields.month - 1, fields.day))
 
-    // Push type sanitization first.
-    const isUnion = Array.isArray(config.type)
-    const typesNames = isUnion ? config.type : [config.type]
-    typesNames.forEach(name => {
-      if (typeof types[name] === 'function') {
-        fns.push(types[name])
+      if (output === 'iso') {
+        return date.toISOString().slice(0, 10)
       }
-    })
-
-    // Iterate over the schema configuration and push sanitization functions
-    // into the sanitization array.
-    Object.keys(config)
-      .filter(rule => rule !== 'type' && rule !== 'default')
-      .forEach(rule => {
-        if (typeof rules[rule] === 'function') {
-          fns.push(rules[rule](config[rule], rule, config))
-        }
+      return toOutput(date, {
+        year: fields.year,
+        month: fields.month,
+        day: fields.day
       })
+    },
 
     /**
-     * Sanitize a single value using the function chain. Breaks when any value
-     * sanitization throws an error.
+     * Convert a `time-only` value (`hh:mm:ss[.fff]`). There is no date to
+     * represent the time, so it sanitizes into a normalized string, the
+     * milliseconds since midnight (`"epoch"`) or an object.
      *
-     * @param  {*}      value
-     * @param  {String} key
-     * @param  {Object} object
+     * @param  {String} value
      * @return {*}
      */
-    function sanitize (value, key, object) {
-      // Iterate over each sanitization function and return a single value.
-      function fnsRunner (fn) {
-        try {
-          value = fn(value, key, object)
-          return true
-        } catch (e) {
-          return false
-        }
+    timeOnly: function toTimeOnly (value) {
+      const fields = parseFields(TIME_ONLY_REGEXP, String(value), 'toTimeOnly')
+
+      if (output === 'object') {
+        return fields
       }
-      isUnion ? fns.some(fnsRunner) : fns.every(fnsRunner)
-      return value
-    }
+      if (output === 'epoch') {
+        return ((fields.hour * 60 + fields.minute) * 60 + fields.second) *
+          1000 + fields.millisecond
+      }
+      return formatTime(fields)
+    },
 
     /**
-     * Do the entire sanitization flow using the current config.
+     * Convert a `datetime-only` value (`YYYY-MM-DDThh:mm:ss[.fff]`) into a
+     * date, interpreted in the configured timezone.
      *
-     * @param  {*}      value
-     * @param  {String} key
-     * @param  {Object} object
+     * @param  {String} value
      * @return {*}
      */
-    return function sanitization (value, key, object) {
-      // Immediately return empty values with attempting to sanitize.
-      if (isEmpty(value)) {
-        // Fallback to providing the default value instead.
-        if (config.default !== undefined) {
-          return sanitization(config.default, key, object)
-        }
-        return value
+    dateTimeOnly: function toDateTimeOnly (value) {
+      if (value instanceof Date) {
+        return toOutput(value, dateToFields(value, timezone !== 'local'))
       }
+      const fields = parseFields(
+        DATE_TIME_ONLY_REGEXP, String(value), 'toDateTimeOnly')
+      const date = timezone === 'local'
+        ? new Date(fields.year, fields.month - 1, fields.day, fields.hour,
+          fields.minute, fields.second, fields.millisecond)
+        : new Date(fieldsToUTC(fields) - parseOffset(timezone) * 60000)
 
-      value = sanitize(value, key, object)
+      return toOutput(date, fields)
+    },
 
-      // Sanitize each element of an array.
-      if (config.type === 'array') {
-        // Turn the result into an array
-        if (!Array.isArray(value)) {
-          value = [value]
-        }
-        if (config.items) {
-          const sanitizeItem = toSanitization(config.items, rules, types)
+    /**
+     * Convert a `datetime` value into a date. Honours the `rfc3339` and
+     * `rfc2616` formats, accepting either of them without a format.
+     *
+     * @param  {String} value
+     * @param  {String} [key]
+     * @param  {Object} [object]
+     * @param  {Object} [config]
+     * @return {*}
+     */
+    dateTime: function toDateTime (value, key, object, config) {
+      const format = config && config.format
+      const str = String(value)
+      let date
 
-          // Map every value to be sanitized into a new array.
-          value = value.map(val => sanitizeItem(val, key, object))
-          // If any of the values are empty, refuse the sanitization.
-          value = value.some(isEmpty) ? null : value
+      if (value instanceof Date) {
+        date = value
+      } else if (format !== 'rfc2616' && RFC3339_REGEXP.test(str)) {
+        const fields = parseFields(RFC3339_REGEXP, str, 'toDateTime')
+        date = new Date(fieldsToUTC(fields) - fields.offset * 60000)
+      } else if (format !== 'rfc3339' && RFC2616_REGEXP.test(str)) {
+        const fields = parseFields(RFC2616_REGEXP, str, 'toDateTime')
+        date = new Date(fieldsToUTC(fields))
+        if (WEEK_DAYS[date.getUTCDay()] !== fields.weekDay) {
+          throw new Error('toDateTime: value is not a valid date')
         }
+      } else {
+        throw new Error(`toDateTime: value is not a ${format || 'datetime'} date`)
       }
-      return value
+
+      return toOutput(date, dateToFields(date, true))
     }
-  })
+  }
+}
 
-  /**
-   * Pass in a value to be sanitized.
-   *
-   * @param  {*}      value
-   * @param  {String} key
-   * @param  {Object} object
-   * @return {*}
-   */
-  return function (value, key, object) {
-    let result = value
+/**
+ * Names of the week days and months in `rfc2616` dates.
+ *
+ * @type {Array}
+ */
+const WEEK_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep',
+  'Oct', 'Nov', 'Dec']
 
-    // Iterate over each sanitization until one is not empty.
-    sanitizations.some(function (sanitization) {
-      result = sanitization(value, key, object)
-    })
+/**
+ * Regular expressions of the date formats, using named groups for fields.
+ *
+ * @type {RegExp}
+ */
+const DATE = '(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})'
+const TIME = '(?<hour>\\d{2}):(?<minute>\\d{2}):(?<second>\\d{2})(?<fraction>\\.\\d+)?'
+const DATE_ONLY_REGEXP = new RegExp(`^${DATE}$`)
+const TIME_ONLY_REGEXP = new RegExp(`^${TIME}$`)
+const DATE_TIME_ONLY_REGEXP = new RegExp(`^${DATE}T${TIME}$`)
+const RFC3339_REGEXP = new RegExp(
+  `^${DATE}[Tt ]${TIME}(?<zone>[Zz]|[+-]\\d{2}:\\d{2})$`)
+const RFC2616_REGEXP = new RegExp(
+  `^(?<weekDay>${WEEK_DAYS.join('|')}), (?<day>\\d{2}) ` +
+  `(?<monthName>${MONTHS.join('|')}) (?<year>\\d{4}) ` +
+  '(?<hour>\\d{2}):(?<minute>\\d{2}):(?<second>\\d{2}) GMT$')
 
-    return result
+/**
+ * Parse a timezone offset like `"+02:00"` into minutes. `"UTC"` and `"Z"`
+ * have no offset.
+ *
+ * @param  {String} zone
+ * @return {Number}
+ */
+function parseOffset (zone) {
+  if (zone === 'UTC' || zone === 'Z' || zone === 'z') {
+    return 0
+  }
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(zone)
+  if (match) {
+    const minutes = Number(match[2]) * 60 + Number(match[3])
+    return match[1] === '-' ? -minutes : minutes
   }
 }
 
 /**
- * Every time the module executes, we return a new instance.
+ * Parse the date and time fields of a string, checking that every field is
+ * in range.
  *
- * @return {Function}
+ * @param  {RegExp} regexp
+ * @param  {String} str
+ * @param  {String} name
+ * @return {Object}
  */
-module.exports = function () {
-  /**
-   * Return a sanitization function based on the passed shapes.
-   * Sanitize a multiple parameters config.
-   *
-   * @param  {Array.<(webapi-parser.PropertyShape|webapi-parser.Parameter)>} elements
-   * @return {Function}
-   */
-  function sanitize (elements) {
-    if (!elements || elements.length < 1) {
-      return function () {
-        return {}
-      }
-    }
-    elements = Array.isArray(elements) ? elements : [elements]
-
-    const sanitizations = {}
+function parseFields (regexp, str, name) {
+  const match = regexp.exec(str)
+  if (!match) {
+    throw new Error(`${name}: value is not a parsable date`)
+  }
 
-    // Map each parameter in the schema to a validation function.
-    elements.forEach(el => {
-      const sch = getSchema(el)
-      const hasProperties = sch && sch.properties && sch.properties.length > 0
-      sanitizations[el.name.value()] = hasProperties
-        ? sanitize(sch.properties)
-        : sanitize.rule(el)
-    })
+  const groups = match.groups
+  const fields = {}
 
-    /**
-     * Execute the returned function with a model to return a sanitized object.
-     *
-     * @param  {Object} input
-     * @return {Object}
-     */
-    return function (input) {
-      input = input || {}
+  if (groups.year !== undefined) {
+    fields.year = Number(groups.year)
+    fields.month = groups.monthName
+      ? MONTHS.indexOf(groups.monthName) + 1
+      : Number(groups.month)
+    fields.day = Number(groups.day)
 
-      // Create a new instance to sanitize without any extra properties.
-      const sanitized = {}
+    const days = new Date(Date.UTC(fields.year, fields.month, 0)).getUTCDate()
+    if (fields.month < 1 || fields.month > 12 || fields.day < 1 ||
+      fields.day > days) {
+      throw new Error(`${name}: value is not a valid date`)
+    }
+  }
 
-      // Iterate the sanitized parameters to get a clean input.
-      Object.keys(sanitizations).forEach(function (param) {
-        const hasField = Object.prototype.hasOwnProperty.call(input, param)
-        const value = hasField ? input[param] : null
-        const sanValue = sanitizations[param](value, param, input)
-        if (hasField || sanValue !== null) {
-          sanitized[param] = sanValue
-        }
-      })
+  if (groups.hour !== undefined) {
+    fields.hour = Number(groups.hour)
+    fields.minute = Number(groups.minute)
+    fields.second = Number(groups.second)
+    fields.millisecond = groups.fraction
+      ? Number(`${groups.fraction.slice(1)}00`.slice(0, 3))
+      : 0
 
-      return sanitized
+    if (fields.hour > 23 || fields.minute > 59 || fields.second > 59) {
+      throw new Error(`${name}: value is not a valid time`)
     }
   }
 
-  /**
-   * Sanitize a single parameter config.
-   *
-   * @param  {(webapi-parser.PropertyShape|webapi-parser.Parameter)} element
-   * @return {Function}
-   */
-  sanitize.rule = function rule (element) {
-    const config = elementToSchema(element)
-    return toSanitization(config, sanitize.RULES, sanitize.TYPES)
+  if (groups.zone !== undefined) {
+    fields.offset = parseOffset(groups.zone)
+  }
+  if (groups.weekDay !== undefined) {
+    fields.weekDay = groups.weekDay
   }
 
-  /**
-   * Provide sanitization based on types.
-   *
-   * @type {Object}
-   */
-  sanitize.TYPES = {
-    string: String,
-    number: toNumber,
+  return fields
+}
+
+/**
+ * Get the UTC timestamp of date and time fields.
+ *
+ * @param  {Object} fields
+ * @return {Number}
+ */
+function fieldsToUTC (fields) {
+  return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour,
+    fields.minute, fields.second, fields.millisecond)
+}
+
+/**
+ * Get the date and time fields of a date.
+ *
+ * @param  {Date}    date
+ * @param  {Boolean} utc
+ * @return {Object}
+ */
+function dateToFields (date, utc) {
+  const get = method => date[utc ? `getUTC${method}` : `get${method}`]()
+
+  return {
+    year: get('FullYear'),
+    month: get('Month') + 1,
+    day: get('Date'),
+    hour: get('Hours'),
+    minute: get('Minutes'),
+    second: get('Seconds'),
+    millisecond: get('Milliseconds')
+  }
+}
+
+/**
+ * Format time fields as `hh:mm:ss[.fff]`.
+ *
+ * @param  {Object} fields
+ * @return {String}
+ */
+function formatTime (fields) {
+  const pad = (num, length) => String(num).padStart(length || 2, '0')
+  const time = `${pad(fields.hour)}:${pad(fields.minute)}:${pad(fields.second)}`
+
+  return fields.millisecond ? `${time}.${pad(fields.millisecond, 3)}` : time
+}
+
+/**
+ * Create the error of an unsafe value, exceeding a limit or with a key that
+ * would change prototypes. Arrays do not recover from these errors.
+ *
+ * @param  {String} message
+ * @return {Error}
+ */
+function toUnsafeError (message) {
+  const error = new Error(message)
+  error.unsafe = true
+  return error
+}
+
+/**
+ * Parse a JSON string from a client, checking its length first.
+ *
+ * @param  {String} value
+ * @param  {Object} limits
+ * @param  {String} name   Name of the sanitization, for error messages
+ * @return {*}
+ */
+function parseJSON (value, limits, name) {
+  const str = String(value)
+  if (str.length > limits.maxLength) {
+    throw toUnsafeError(`${name}: value is longer than ${limits.maxLength} characters`)
+  }
+  try {
+    return JSON.parse(str)
+  } catch (e) {
+    throw new Error(`${name}: ${e.toString()}`)
+  }
+}
+
+/**
+ * Check the nesting depth and the element count of a parsed value, and strip
+ * (or reject) the keys that would change prototypes. Objects are copied
+ * before stripping keys, the value is returned as-is otherwise.
+ *
+ * @param  {*}       value
+ * @param  {Object}  limits
+ * @param  {String}  name
+ * @param  {Boolean} [parsed] Apply the depth and element limits
+ * @return {*}
+ */
+function inspectValue (value, limits, name, parsed) {
+  let elements = 0
+
+  /**
+   * Inspect a nested value.
+   *
+   * @param  {*}      value
+   * @param  {Number} depth
+   * @return {*}
+   */
+  function inspect (value, depth) {
+    if (value === null || typeof value !== 'object') {
+      return value
+    }
+    const keys = Object.keys(value)
+
+    if (parsed) {
+      if (depth > limits.maxDepth) {
+        throw toUnsafeError(`${name}: value is nested deeper than ${limits.maxDepth}`)
+      }
+      elements += keys.length
+      if (elements > limits.maxElements) {
+        throw toUnsafeError(`${name}: value has more than ${limits.maxElements} elements`)
+      }
+    }
+
+    let result = value
+    keys.forEach(key => {
+      const isArray = Array.isArray(value)
+
+      if (!isArray && isUnsafeKey(key)) {
+        if (limits.unsafeKeys === 'reject') {
+          throw toUnsafeError(`${name}: value has an unsafe key "${key}"`)
+        }
+        result = result === value ? copyObject(value) : result
+        return
+      }
+
+      const item = inspect(value[key], depth + 1)
+      if (item !== value[key]) {
+        result = result === value
+          ? (isArray ? value.slice() : copyObject(value))
+          : result
+        result[key] = item
+      }
+    })
+    return result
+  }
+
+  return inspect(value, 1)
+}
+
+/**
+ * Copy an object without the keys that would change prototypes.
+ *
+ * @param  {Object} obj
+ * @return {Object}
+ */
+function copyObject (obj) {
+  return Object.keys(obj).reduce((copy, key) => {
+    if (!isUnsafeKey(key)) {
+      copy[key] = obj[key]
+    }
+    return copy
+  }, {})
+}
+
+/**
+ * Convert a value into an array.
+ *
+ * @param  {String} value
+ * @param  {Object} limits
+ * @return {Array}
+ */
+function toArray (value, limits) {
+  if (Array.isArray(value)) {
+    return inspectValue(value, limits, 'toArray')
+  }
+  value = parseJSON(value, limits, 'toArray')
+  if (!Array.isArray(value)) {
+    throw new Error('toArray: parsed value is not an array')
+  }
+  return inspectValue(value, limits, 'toArray', true)
+}
+
+/**
+ * Delimiters of the array formats splitting strings.
+ *
+ * @type {Object}
+ */
+const ARRAY_DELIMITERS = {
+  csv: ',',
+  ssv: ' ',
+  tsv: '\t',
+  pipes: '|'
+}
+
+/**
+ * Check that an array format is known.
+ *
+ * @param {String} format
+ */
+function assertArrayFormat (format) {
+  if (format !== 'json' && format !== 'multi' && !ARRAY_DELIMITERS[format]) {
+    throw new TypeError(`Unknown array format: ${format}`)
+  }
+}
+
+/**
+ * Create the sanitization of arrays using an array format. The format can
+ * be overridden per parameter with the `arrayFormat` config.
+ *
+ * - `json` parses JSON strings
+ * - `multi` wraps single values, for repeated query string keys
+ * - `csv`, `ssv`, `tsv` and `pipes` split strings on the delimiter
+ *
+ * @param  {String}   [format]
+ * @param  {Object}   [limits] Limits of the parsed strings
+ * @return {Function}
+ */
+function toArrayType (format, limits) {
+  format = format || 'json'
+  limits = limits || toSettings()
+  assertArrayFormat(format)
+
+  /**
+   * Convert a value into an array using the array format.
+   *
+   * @param  {String} value
+   * @param  {String} [key]
+   * @param  {Object} [object]
+   * @param  {Object} [config]
+   * @return {Array}
+   */
+  return function (value, key, object, config) {
+    const arrayFormat = (config && config.arrayFormat) || format
+
+    if (arrayFormat === 'json' || Array.isArray(value)) {
+      return toArray(value, limits)
+    }
+    if (arrayFormat === 'multi') {
+      return [value]
+    }
+
+    const str = String(value)
+    if (str.length > limits.maxLength) {
+      throw toUnsafeError(`toArray: value is longer than ${limits.maxLength} characters`)
+    }
+
+    const items = str === '' ? [] : str.split(ARRAY_DELIMITERS[arrayFormat])
+    if (items.length > limits.maxElements) {
+      throw toUnsafeError(`toArray: value has more than ${limits.maxElements} elements`)
+    }
+    return items
+  }
+}
+
+/**
+ * Create the sanitization of objects, parsing JSON strings within limits.
+ *
+ * @param  {Object}   [limits]
+ * @return {Function}
+ */
+function toObjectType (limits) {
+  limits = limits || toSettings()
+
+  /**
+   * Convert a value into an object.
+   *
+   * @param  {String} value
+   * @return {Object}
+   */
+  return function toObject (value) {
+    if (isPlainObject(value)) {
+      return inspectValue(value, limits, 'toObject')
+    }
+    value = inspectValue(parseJSON(value, limits, 'toObject'), limits, 'toObject', true)
+    if (!isPlainObject(value)) {
+      throw new Error('toObject: parsed value is not an object')
+    }
+    return value
+  }
+}
+
+/**
+ * Check if a value is a plain object, even with an own `constructor` key.
+ *
+ * @param  {*}       value
+ * @return {Boolean}
+ */
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+}
+
+/**
+ * Delimiters of the parameter styles.
+ *
+ * @type {Object}
+ */
+const STYLE_DELIMITERS = {
+  comma: ',',
+  space: ' ',
+  pipe: '|'
+}
+
+/**
+ * Create the decoder of a nested object, read from its own key or collected
+ * from bracket (`address[city]`) and dot-notation (`address.city`) keys, as
+ * delivered by `application/x-www-form-urlencoded` and multipart forms.
+ *
+ * @param  {String}   name
+ * @return {Function}
+ */
+function toNestedDecoder (name) {
+  return function (input) {
+    if (Object.prototype.hasOwnProperty.call(input, name)) {
+      return input[name]
+    }
+
+    let obj
+    Object.keys(input).forEach(key => {
+      const path = toNestedPath(name, key)
+      if (!path) {
+        return
+      }
+
+      obj = obj || {}
+      const last = path.pop()
+      const target = path.reduce((target, segment) => {
+        if (isEmpty(target[segment]) || target[segment].constructor !== Object) {
+          target[segment] = {}
+        }
+        return target[segment]
+      }, obj)
+      target[last] = input[key]
+    })
+    return obj
+  }
+}
+
+/**
+ * Parse the path of a flattened key of a nested object, like `address[city]`
+ * or `address.geo.lat`, returning `undefined` for other keys. Keys that
+ * would change prototypes are ignored.
+ *
+ * @param  {String} name
+ * @param  {String} key
+ * @return {Array.<String>}
+ */
+function toNestedPath (name, key) {
+  if (key.indexOf(name) !== 0 || key.length === name.length) {
+    return
+  }
+
+  const rest = key.slice(name.length)
+  const path = []
+  const regexp = /\[([^\]]+)\]|\.([^.[\]]+)/y
+  let match
+
+  while (regexp.lastIndex < rest.length && (match = regexp.exec(rest))) {
+    path.push(match[1] === undefined ? match[2] : match[1])
+  }
+
+  if (regexp.lastIndex !== rest.length || path.some(isUnsafeKey)) {
+    return
+  }
+  return path
+}
+
+/**
+ * Check if a key would change the prototype of an object.
+ *
+ * @param  {String}  key
+ * @return {Boolean}
+ */
+function isUnsafeKey (key) {
+  return key === '__proto__' || key === 'constructor' || key === 'prototype'
+}
+
+/**
+ * Create the decoder of a parameter serialized with an OpenAPI `style`. The
+ * decoder reads the parameter from the input (the properties of exploded
+ * `form` and `deepObject` objects are spread over the input) and returns its
+ * array, object or primitive value, or `undefined` when it is missing. The
+ * input is already percent-decoded, like parsed query strings and URI
+ * parameters, so values are never decoded again.
+ *
+ * @param  {Object}   config
+ * @param  {String}   config.name
+ * @param  {String}   config.style
+ * @param  {Boolean}  [config.explode] Defaults to `true` for `form`
+ * @param  {Array}    [siblings]       Names of the other parameters
+ * @return {Function}
+ */
+function toStyleDecoder (config, siblings) {
+  siblings = siblings || []
+
+  const name = config.name
+  const style = config.style
+  const explode = config.explode === undefined
+    ? style === 'form'
+    : config.explode
+  const kind = config.type === 'array' || config.type === 'object'
+    ? config.type
+    : 'primitive'
+  const properties = config.properties || []
+  const names = properties
+    .filter(property => !property.patternName)
+    .map(property => property.name)
+  const patterns = properties
+    .filter(property => property.patternName)
+    .map(property => new RegExp(property.patternName))
+
+  /**
+   * Split a string into parts.
+   *
+   * @param  {String}          str
+   * @param  {(RegExp|String)} delimiter
+   * @return {Array}
+   */
+  function split (str, delimiter) {
+    return str === '' ? [] : str.split(delimiter)
+  }
+
+  /**
+   * Create an object from `key=value` parts (exploded) or from alternating
+   * keys and values.
+   *
+   * @param  {Array}   parts
+   * @param  {Boolean} pairs
+   * @return {Object}
+   */
+  function fromParts (parts, pairs) {
+    const obj = {}
+    if (pairs) {
+      parts.forEach(part => {
+        const index = part.indexOf('=')
+        if (index > -1 && !isUnsafeKey(part.slice(0, index))) {
+          obj[part.slice(0, index)] = part.slice(index + 1)
+        }
+      })
+    } else {
+      for (let i = 0; i < parts.length - 1; i += 2) {
+        if (!isUnsafeKey(parts[i])) {
+          obj[parts[i]] = parts[i + 1]
+        }
+      }
+    }
+    return obj
+  }
+
+  /**
+   * Remove the `name=` prefix of a `matrix` part.
+   *
+   * @param  {String} part
+   * @return {String}
+   */
+  function unprefix (part) {
+    return part.indexOf(`${name}=`) === 0 ? part.slice(name.length + 1) : part
+  }
+
+  /**
+   * Decode a serialized string value.
+   *
+   * @param  {String} str
+   * @return {*}
+   */
+  function decodeString (str) {
+    switch (style) {
+      case 'label':
+        str = str.charAt(0) === '.' ? str.slice(1) : str
+        if (kind === 'array') {
+          return split(str, explode ? '.' : STYLE_DELIMITERS.comma)
+        }
+        if (kind === 'object') {
+          return explode
+            ? fromParts(split(str, '.'), true)
+            : fromParts(split(str, STYLE_DELIMITERS.comma), false)
+        }
+        return str
+      case 'matrix':
+        str = str.charAt(0) === ';' ? str.slice(1) : str
+        if (kind === 'array') {
+          return explode
+            ? split(str, ';').map(unprefix)
+            : split(unprefix(str), STYLE_DELIMITERS.comma)
+        }
+        if (kind === 'object') {
+          return explode
+            ? fromParts(split(str, ';'), true)
+            : fromParts(split(unprefix(str), STYLE_DELIMITERS.comma), false)
+        }
+        return unprefix(str)
+      case 'spaceDelimited':
+      case 'pipeDelimited':
+        if (kind === 'array' && !explode) {
+          return split(str, style === 'pipeDelimited'
+            ? STYLE_DELIMITERS.pipe
+            : STYLE_DELIMITERS.space)
+        }
+        return kind === 'array' ? [str] : str
+      default:
+        // The `simple` and `form` styles.
+        if (kind === 'array') {
+          return style === 'form' && explode
+            ? [str]
+            : split(str, STYLE_DELIMITERS.comma)
+        }
+        if (kind === 'object') {
+          return fromParts(split(str, STYLE_DELIMITERS.comma), explode)
+        }
+        return str
+    }
+  }
+
+  /**
+   * Check if a key of the input is a property of an exploded `form` object:
+   * a declared or pattern property, or any key but the other parameters of
+   * objects without properties.
+   *
+   * @param  {String}  key
+   * @return {Boolean}
+   */
+  function isProperty (key) {
+    if (isUnsafeKey(key)) {
+      return false
+    }
+    if (!config.properties) {
+      return siblings.indexOf(key) === -1
+    }
+    return names.indexOf(key) > -1 || patterns.some(pattern => pattern.test(key))
+  }
+
+  /**
+   * Read the parameter from the input and decode it.
+   *
+   * @param  {Object} input
+   * @return {*}
+   */
+  return function (input) {
+    const hasField = Object.prototype.hasOwnProperty.call(input, name)
+    const value = hasField ? input[name] : undefined
+
+    if (kind === 'object' && !hasField) {
+      // The properties of exploded `form` objects are keys of the input,
+      // shared with the other parameters.
+      if (style === 'form' && explode) {
+        const keys = Object.keys(input).filter(isProperty)
+        if (keys.length === 0) {
+          return undefined
+        }
+        const obj = {}
+        keys.forEach(key => {
+          obj[key] = input[key]
+        })
+        return obj
+      }
+      // The properties of `deepObject` objects are `name[property]` keys.
+      if (style === 'deepObject') {
+        const prefix = `${name}[`
+        const keys = Object.keys(input).filter(key => {
+          return key.indexOf(prefix) === 0 && key.slice(-1) === ']'
+        })
+        if (keys.length === 0) {
+          return undefined
+        }
+        const obj = {}
+        keys.forEach(key => {
+          if (!isUnsafeKey(key.slice(prefix.length, -1))) {
+            obj[key.slice(prefix.length, -1)] = input[key]
+          }
+        })
+        return obj
+      }
+    }
+
+    return typeof value === 'string' ? decodeString(value) : value
+  }
+}
+
+/**
+ * Create the encoder of a parameter serialized with an OpenAPI `style`, the
+ * reverse of `toStyleDecoder`. The encoder writes the serialized parts of
+ * the value into the output, as the properties of exploded `form` and
+ * `deepObject` objects are spread over it. Like the input of the decoder,
+ * the output is not percent-encoded, which is left to the encoding of the
+ * query string or URI.
+ *
+ * @param  {Object}   config
+ * @return {Function}
+ */
+function toStyleEncoder (config) {
+  const name = config.name
+  const style = config.style
+  const explode = config.explode === undefined
+    ? style === 'form'
+    : config.explode
+
+  /**
+   * Get the parts of a value, the items of an array or the keys and
+   * values of an object.
+   *
+   * @param  {*}       value
+   * @param  {Boolean} pairs Join the keys and values of objects with `=`
+   * @return {Array.<String>}
+   */
+  function toParts (value, pairs) {
+    if (Array.isArray(value)) {
+      return value.map(String)
+    }
+    return Object.keys(value).reduce((parts, key) => {
+      return pairs
+        ? parts.concat(`${key}=${value[key]}`)
+        : parts.concat(key, String(value[key]))
+    }, [])
+  }
+
+  /**
+   * Write the value into the output.
+   *
+   * @param {*}      value  Strings, arrays or objects of strings
+   * @param {Object} output
+   */
+  return function (value, output) {
+    const kind = Array.isArray(value)
+      ? 'array'
+      : typeof value === 'object' ? 'object' : 'primitive'
+
+    if (kind === 'primitive') {
+      output[name] = style === 'label'
+        ? `.${value}`
+        : style === 'matrix' ? `;${name}=${value}` : String(value)
+      return
+    }
+
+    switch (style) {
+      case 'label':
+        output[name] = explode
+          ? `.${toParts(value, true).join('.')}`
+          : `.${toParts(value, false).join(',')}`
+        return
+      case 'matrix':
+        if (explode) {
+          output[name] = kind === 'array'
+            ? `;${toParts(value).map(part => `${name}=${part}`).join(';')}`
+            : `;${toParts(value, true).join(';')}`
+        } else {
+          output[name] = `;${name}=${toParts(value, false).join(',')}`
+        }
+        return
+      case 'spaceDelimited':
+      case 'pipeDelimited':
+        output[name] = explode
+          ? value
+          : toParts(value, false).join(style === 'pipeDelimited' ? '|' : ' ')
+        return
+      case 'deepObject':
+        Object.keys(value).forEach(key => {
+          output[`${name}[${key}]`] = value[key]
+        })
+        return
+      case 'form':
+        if (explode) {
+          if (kind === 'array') {
+            output[name] = value
+          } else {
+            Object.assign(output, value)
+          }
+          return
+        }
+        output[name] = toParts(value, false).join(',')
+        return
+      default:
+        // The `simple` style.
+        output[name] = toParts(value, explode).join(',')
+    }
+  }
+}
+
+/**
+ * Create the serializations of the date types, the reverse of
+ * `toDateTypes`. Dates, timestamps and date fields are formatted, strings
+ * are kept as they are.
+ *
+ * @param  {Object} [options]
+ * @param  {String} [options.timezone] Timezone of `datetime-only` values
+ * @return {Object}
+ */
+function toDateSerializers (options) {
+  const timezone = (options && options.timezone) || 'local'
+  const offset = timezone === 'local' ? undefined : parseOffset(timezone)
+
+  if (timezone !== 'local' && offset === undefined) {
+    throw new TypeError(`Unknown timezone: ${timezone}`)
+  }
+
+  /**
+   * Get the fields of a date value, in UTC or in the configured timezone.
+   *
+   * @param  {(Date|Number|Object)} value
+   * @param  {Boolean}              utc
+   * @return {Object}
+   */
+  function toFields (value, utc) {
+    if (!(value instanceof Date) && typeof value !== 'number') {
+      return value
+    }
+    const date = new Date(value)
+    if (utc || offset === undefined) {
+      return dateToFields(date, utc)
+    }
+    return dateToFields(new Date(date.getTime() + offset * 60000), true)
+  }
+
+  return {
+    /**
+     * Format a `date-only` value as `YYYY-MM-DD`, in UTC.
+     *
+     * @param  {*}      value
+     * @return {String}
+     */
+    dateOnly: function fromDateOnly (value) {
+      return typeof value === 'string' ? value : formatDate(toFields(value, true))
+    },
+
+    /**
+     * Format a `time-only` value as `hh:mm:ss[.fff]`. Numbers are the
+     * milliseconds since midnight.
+     *
+     * @param  {*}      value
+     * @return {String}
+     */
+    timeOnly: function fromTimeOnly (value) {
+      if (typeof value === 'number') {
+        return formatTime({
+          hour: Math.floor(value / 3600000),
+          minute: Math.floor(value / 60000) % 60,
+          second: Math.floor(value / 1000) % 60,
+          millisecond: value % 1000
+        })
+      }
+      return typeof value === 'string' ? value : formatTime(toFields(value, false))
+    },
+
+    /**
+     * Format a `datetime-only` value as `YYYY-MM-DDThh:mm:ss[.fff]`, in the
+     * configured timezone. Strings with a timezone, like the `"iso"` output,
+     * are formatted like dates.
+     *
+     * @param  {*}      value
+     * @return {String}
+     */
+    dateTimeOnly: function fromDateTimeOnly (value) {
+      value = parseRFC3339(value)
+      if (typeof value === 'string') {
+        return value
+      }
+      const fields = toFields(value, false)
+      return `${formatDate(fields)}T${formatTime(fields)}`
+    },
+
+    /**
+     * Format a `datetime` value with the `rfc2616` format, or else `rfc3339`.
+     * The `rfc3339` strings of `rfc2616` values are formatted like dates.
+     *
+     * @param  {*}      value
+     * @param  {String} [key]
+     * @param  {Object} [object]
+     * @param  {Object} [config]
+     * @return {String}
+     */
+    dateTime: function fromDateTime (value, key, object, config) {
+      if (config && config.format === 'rfc2616') {
+        value = parseRFC3339(value)
+      }
+      if (typeof value === 'string') {
+        return value
+      }
+      const date = value instanceof Date || typeof value === 'number'
+        ? new Date(value)
+        : new Date(fieldsToUTC(value))
+      return config && config.format === 'rfc2616'
+        ? date.toUTCString()
+        : date.toISOString()
+    }
+  }
+}
+
+/**
+ * Parse an `rfc3339` string, like the `"iso"` output of the date types, into
+ * a date. Other values are returned as-is.
+ *
+ * @param  {*} value
+ * @return {*}
+ */
+function parseRFC3339 (value) {
+  if (typeof value !== 'string' || !RFC3339_REGEXP.test(value)) {
+    return value
+  }
+  const fields = parseFields(RFC3339_REGEXP, value, 'parseRFC3339')
+  return new Date(fieldsToUTC(fields) - fields.offset * 60000)
+}
+
+/**
+ * Format date fields as `YYYY-MM-DD`.
+ *
+ * @param  {Object} fields
+ * @return {String}
+ */
+function formatDate (fields) {
+  const pad = (num, length) => String(num).padStart(length || 2, '0')
+
+  return `${pad(fields.year, 4)}-${pad(fields.month)}-${pad(fields.day)}`
+}
+
+/**
+ * Types matching the JavaScript types of values, in order of preference, to
+ * serialize the value of a union.
+ *
+ * @type {Object}
+ */
+const VALUE_TYPES = {
+  boolean: ['boolean'],
+  number: ['number', 'integer', 'float', 'double', 'long'],
+  bigint: ['long', 'integer', 'number'],
+  string: ['string', 'dateTime', 'dateOnly', 'timeOnly', 'dateTimeOnly', 'date'],
+  date: ['dateTime', 'dateOnly', 'dateTimeOnly', 'date'],
+  array: ['array'],
+  object: ['object']
+}
+
+/**
+ * Check if a type is one of the date types.
+ *
+ * @param  {String}  type
+ * @return {Boolean}
+ */
+function isDateType (type) {
+  return VALUE_TYPES.date.indexOf(type) > -1 || type === 'timeOnly'
+}
+
+/**
+ * Get the type to serialize a value with, picking the member of a union
+ * matching the JavaScript type of the value.
+ *
+ * @param  {*}      value
+ * @param  {Object} config
+ * @return {String}
+ */
+function getValueType (value, config) {
+  if (!Array.isArray(config.type)) {
+    return config.type
+  }
+
+  const kind = value instanceof Date
+    ? 'date'
+    : Array.isArray(value) ? 'array' : typeof value
+  const candidates = VALUE_TYPES[kind] || []
+
+  return config.type.find(type => candidates.indexOf(type) > -1) ||
+    config.type.find(type => type !== 'nil')
+}
+
+/**
+ * Create the built-in rules for the facets extracted from shapes. Every rule
+ * is a factory receiving the facet value, like any `sanitize.RULES` entry.
+ *
+ * @param  {Object}  [options]
+ * @param  {Boolean} [options.trim]    Trim strings before applying lengths
+ * @param  {String}  [options.padding] Character used to pad to `minLength`
+ * @param  {String}  [options.pad]     Side to pad, `"end"` or `"start"`
+ * @return {Object}
+ */
+function toFacetRules (options) {
+  options = options || {}
+
+  const padding = options.padding === undefined ? ' ' : options.padding
+  const padStart = options.pad === 'start'
+
+  /**
+   * Trim a string when enabled, before its length is changed.
+   *
+   * @param  {String} value
+   * @return {String}
+   */
+  function trim (value) {
+    return options.trim ? value.trim() : value
+  }
+
+  return {
+    /**
+     * Normalize strings to the canonical spelling of an enum value.
+     *
+     * @param  {Array}    values
+     * @return {Function}
+     */
+    enum: function (values) {
+      return function (value) {
+        const str = String(value)
+        const lower = str.toLowerCase()
+
+        if (values.some(val => String(val) === str)) {
+          return value
+        }
+        if (typeof value === 'string') {
+          const match = values.find(val => String(val).toLowerCase() === lower)
+          if (match !== undefined) {
+            return match
+          }
+        }
+        throw new Error('enum: value is not one of the enum values')
+      }
+    },
+
+    /**
+     * Clamp numbers to the minimum.
+     *
+     * @param  {Number}   min
+     * @return {Function}
+     */
+    minimum: function (min) {
+      return function (value) {
+        return typeof value === 'number' && value < min ? min : value
+      }
+    },
+
+    /**
+     * Clamp numbers to the maximum.
+     *
+     * @param  {Number}   max
+     * @return {Function}
+     */
+    maximum: function (max) {
+      return function (value) {
+        return typeof value === 'number' && value > max ? max : value
+      }
+    },
+
+    /**
+     * Round numbers to the nearest multiple.
+     *
+     * @param  {Number}   multiple
+     * @return {Function}
+     */
+    multipleOf: function (multiple) {
+      const decimals = (String(multiple).split('.')[1] || '').length
+
+      return function (value) {
+        if (typeof value !== 'number' || !isFinite(value) || !multiple) {
+          return value
+        }
+        return Number((Math.round(value / multiple) * multiple).toFixed(decimals))
+      }
+    },
+
+    /**
+     * Pad strings up to the minimum length.
+     *
+     * @param  {Number}   min
+     * @return {Function}
+     */
+    minLength: function (min) {
+      return function (value) {
+        if (typeof value !== 'string') {
+          return value
+        }
+        value = trim(value)
+        if (!padding) {
+          return value
+        }
+        return padStart ? value.padStart(min, padding) : value.padEnd(min, padding)
+      }
+    },
+
+    /**
+     * Truncate strings to the maximum length.
+     *
+     * @param  {Number}   max
+     * @return {Function}
+     */
+    maxLength: function (max) {
+      return function (value) {
+        return typeof value === 'string' ? trim(value).slice(0, max) : value
+      }
+    }
+  }
+}
+
+/**
+ * Rules of the sanitization directives, the annotations of the
+ * `annotations.raml` library. Annotations without a value are `true`, and
+ * `false` disables them.
+ *
+ * @type {Object}
+ */
+const ANNOTATION_RULES = {
+  /**
+   * Remove the surrounding whitespace of strings.
+   *
+   * @param  {Boolean}  enabled
+   * @return {Function}
+   */
+  trim: function (enabled) {
+    return function (value) {
+      return enabled !== false && typeof value === 'string' ? value.trim() : value
+    }
+  },
+
+  /**
+   * Lower case strings.
+   *
+   * @param  {Boolean}  enabled
+   * @return {Function}
+   */
+  lowercase: function (enabled) {
+    return function (value) {
+      return enabled !== false && typeof value === 'string' ? value.toLowerCase() : value
+    }
+  },
+
+  /**
+   * Replace the runs of whitespace of strings with a single space.
+   *
+   * @param  {Boolean}  enabled
+   * @return {Function}
+   */
+  collapseWhitespace: function (enabled) {
+    return function (value) {
+      return enabled !== false && typeof value === 'string' ? value.replace(/\s+/g, ' ') : value
+    }
+  },
+
+  /**
+   * Replace values with a mask, the annotation value when it is a string.
+   *
+   * @param  {(Boolean|String)} mask
+   * @return {Function}
+   */
+  redact: function (mask) {
+    return function (value) {
+      if (mask === false) {
+        return value
+      }
+      return typeof mask === 'string' ? mask : '[REDACTED]'
+    }
+  }
+}
+
+/**
+ * Create a sanitization report to collect errors and coercions.
+ *
+ * @return {Object}
+ */
+function createReport () {
+  return { path: [], errors: [], coercions: [] }
+}
+
+/**
+ * Create a report for a nested key, sharing the collected entries.
+ *
+ * @param  {Object}          report
+ * @param  {(String|Number)} key
+ * @return {Object}
+ */
+function childReport (report, key) {
+  if (!report) {
+    return report
+  }
+  return {
+    path: report.path.concat(key),
+    errors: report.errors,
+    coercions: report.coercions
+  }
+}
+
+/**
+ * Create the trace of a nested value, with the JSON pointer of its path, the
+ * root input and its parent object or array.
+ *
+ * @param  {Object}          [trace]
+ * @param  {(String|Number)} key
+ * @param  {Object}          parent
+ * @return {Object}
+ */
+function childTrace (trace, key, parent) {
+  const base = trace || { path: '', root: parent }
+
+  return { path: `${base.path}/${toPointerToken(key)}`, root: base.root, parent: parent }
+}
+
+/**
+ * Escape a key for a JSON pointer.
+ *
+ * @param  {(String|Number)} key
+ * @return {String}
+ */
+function toPointerToken (key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * Convert the path of a report, the keys of a value, into a JSON pointer.
+ *
+ * @param  {Array}  path
+ * @return {String}
+ */
+function toPointer (path) {
+  return path.map(key => `/${toPointerToken(key)}`).join('')
+}
+
+/**
+ * Create the context passed to the types and rules of a value. Values
+ * sanitized without a trace, like with `sanitize.rule`, are the root.
+ *
+ * @param  {Object} [trace]
+ * @param  {Object} config
+ * @param  {*}      value
+ * @param  {Object} [object]
+ * @return {Object}
+ */
+function toContext (trace, config, value, object) {
+  return trace
+    ? { path: trace.path, root: trace.root, parent: trace.parent, config: config }
+    : { path: '', root: value, parent: object, config: config }
+}
+
+/**
+ * Error policies of an instance, for values failing their sanitization.
+ *
+ * @type {Array.<String>}
+ */
+const ERROR_POLICIES = ['keep', 'null', 'throw']
+
+/**
+ * Resolve the options of an instance with their defaults.
+ *
+ * @param  {Object} [options]
+ * @return {Object}
+ */
+function toSettings (options) {
+  const settings = Object.assign({
+    dropUnknown: true,
+    applyDefaults: true,
+    emptyStringAsNull: false,
+    trimStrings: false,
+    dateOutput: 'date',
+    onError: 'keep',
+    maxLength: 100000,
+    maxDepth: 32,
+    maxElements: 10000,
+    unsafeKeys: 'strip'
+  }, options)
+
+  if (ERROR_POLICIES.indexOf(settings.onError) === -1) {
+    throw new TypeError(`Unknown error policy: ${settings.onError}`)
+  }
+  if (settings.unsafeKeys !== 'strip' && settings.unsafeKeys !== 'reject') {
+    throw new TypeError(`Unknown unsafe keys policy: ${settings.unsafeKeys}`)
+  }
+  return settings
+}
+
+/**
+ * Normalize a string value with the settings of an instance, before it is
+ * checked for emptiness.
+ *
+ * @param  {*}      value
+ * @param  {Object} settings
+ * @return {*}
+ */
+function normalizeString (value, settings) {
+  if (typeof value !== 'string') {
+    return value
+  }
+  if (settings.trimStrings) {
+    value = value.trim()
+  }
+  return settings.emptyStringAsNull && value === '' ? null : value
+}
+
+/**
+ * Create the error thrown for the failures of a value with the `null` and
+ * `throw` error policies. Unions fail with every message. The error carries
+ * the JSON pointer of the value.
+ *
+ * @param  {Array}   failures
+ * @param  {Boolean} isUnion
+ * @param  {String}  path
+ * @return {Error}
+ */
+function toFailure (failures, isUnion, path) {
+  const error = isUnion
+    ? new Error(failures.map(failure => failure.message).join(', '))
+    : failures[0].error
+
+  if (isUnion && failures.some(failure => failure.error && failure.error.unsafe)) {
+    error.unsafe = true
+  }
+  if (error instanceof Error && error.path === undefined) {
+    error.path = path
+  }
+  return error
+}
+
+/**
+ * Return the value of a failed sanitization with the error policy of the
+ * settings. Unsafe values are never kept, they become `null` with the `keep`
+ * error policy.
+ *
+ * @param  {Error}  error
+ * @param  {*}      value
+ * @param  {Object} settings
+ * @return {*}
+ */
+function recoverFailure (error, value, settings) {
+  if (settings.onError === 'keep') {
+    return error && error.unsafe ? null : value
+  }
+  if (settings.onError === 'null') {
+    return null
+  }
+  throw error
+}
+
+/**
+ * Create a limiter running at most `limit` functions at once, shared by
+ * every level of an async sanitization. Functions wait in order for a free
+ * slot, and the limiter returns a promise of their result.
+ *
+ * @param  {Number}   limit
+ * @return {Function}
+ */
+function createLimiter (limit) {
+  const queue = []
+  let running = 0
+
+  function next () {
+    if (running >= limit || queue.length === 0) {
+      return
+    }
+    const { fn, resolve, reject } = queue.shift()
+    running++
+    new Promise(resolve => resolve(fn()))
+      .then(resolve, reject)
+      .then(() => {
+        running--
+        next()
+      })
+  }
+
+  return function (fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject })
+      next()
+    })
+  }
+}
+
+/**
+ * Continue with a value, once resolved when it is a promise.
+ *
+ * @param  {*}        value
+ * @param  {Function} fn
+ * @return {*}
+ */
+function andThen (value, fn) {
+  return value && typeof value.then === 'function' ? value.then(fn) : fn(value)
+}
+
+/**
+ * Wrap the types of a config with the sanitizers of its declared types, in
+ * `config.declaredTypes`. The built-in types are kept when none of them has a
+ * sanitizer, and `nil` is never wrapped.
+ *
+ * @param  {Object} types
+ * @param  {Object} config
+ * @param  {Object} declared Sanitizers by declared type name
+ * @return {Object}
+ */
+function withDeclaredTypes (types, config, declared) {
+  const hooks = (config.declaredTypes || [])
+    .filter(name => Object.prototype.hasOwnProperty.call(declared, name))
+    .map(name => {
+      const hook = declared[name]
+      if (!hook || (typeof hook.before !== 'function' && typeof hook.after !== 'function')) {
+        throw new TypeError(`Declared type "${name}" needs a before or after function`)
+      }
+      return hook
+    })
+
+  if (hooks.length === 0) {
+    return types
+  }
+
+  const names = Array.isArray(config.type) ? config.type : [config.type]
+  const wrapped = Object.assign({}, types)
+  names.filter(name => name !== 'nil').forEach(name => {
+    wrapped[name] = toDeclaredType(types[name], hooks)
+  })
+  return wrapped
+}
+
+/**
+ * Create a type running the sanitizers of declared types around a built-in
+ * type. Declared types are ordered from the most specific to the inherited
+ * ones, so `before` runs in that order and `after` in the reverse order.
+ *
+ * @param  {Function}       [fn]
+ * @param  {Array.<Object>} hooks
+ * @return {Function}
+ */
+function toDeclaredType (fn, hooks) {
+  const before = hooks.filter(hook => typeof hook.before === 'function')
+  const after = hooks.filter(hook => typeof hook.after === 'function').reverse()
+
+  return function (value, key, object, config, context) {
+    const apply = (result, step) => andThen(result, value => {
+      return step(value, key, object, config, context)
+    })
+    const coerced = before.reduce((result, hook) => apply(result, hook.before), value)
+
+    return after.reduce(
+      (result, hook) => apply(result, hook.after),
+      fn ? apply(coerced, fn) : coerced
+    )
+  }
+}
+
+/**
+ * Add the rules of the annotations of a config, in `config.annotations`, to
+ * the rules. Annotations are mapped to a rule name of the rules or to a rule
+ * function, and added as `(name)` so they do not replace facet rules.
+ *
+ * @param  {Object} rules
+ * @param  {Object} config
+ * @param  {Object} annotations Rules by annotation name
+ * @return {Object}
+ */
+function withAnnotationRules (rules, config, annotations) {
+  const names = Object.keys(config.annotations || {})
+    .filter(name => Object.prototype.hasOwnProperty.call(annotations, name))
+
+  if (names.length === 0) {
+    return rules
+  }
+
+  const extended = Object.assign({}, rules)
+  names.forEach(name => {
+    const rule = annotations[name]
+    extended[`(${name})`] = typeof rule === 'string' ? rules[rule] : rule
+  })
+  return extended
+}
+
+/**
+ * Convert the schema config into a single sanitization function.
+ *
+ * @param  {Object}   configs
+ * @param  {Object}   rules
+ * @param  {Object}   types
+ * @param  {Function} [toItem]   Create the sanitization of array items
+ * @param  {Object}   [settings] Options of the instance
+ * @return {Function}
+ */
+function toSanitization (configs, rules, types, toItem, settings) {
+  configs = Array.isArray(configs) ? configs : [configs]
+  settings = settings || toSettings()
+  toItem = toItem || (config => toSanitization(config, rules, types, undefined, settings))
+
+  // Map configurations into function sanitization chains.
+  const sanitizations = configs.map(function (config) {
+    let fns = []
+
+    // Push type sanitization first. Unions try `nil` first, so `""` and
+    // `"null"` are not sanitized as strings.
+    const isUnion = Array.isArray(config.type)
+    const typesNames = isUnion ? sortTypes(config.type) : [config.type]
+    typesNames.forEach(name => {
+      if (typeof types[name] === 'function') {
+        fns.push({ type: name, fn: types[name] })
+      }
+    })
+
+    // Annotations, like `(sanitize.trim)`, run before the facet rules.
+    Object.keys(config.annotations || {}).forEach(name => {
+      const rule = `(${name})`
+      if (typeof rules[rule] === 'function') {
+        fns.push({ rule: rule, fn: rules[rule](config.annotations[name], rule, config) })
+      }
+    })
+
+    // Iterate over the schema configuration and push sanitization functions
+    // into the sanitization array.
+    Object.keys(config)
+      .filter(rule => rule !== 'type' && rule !== 'default' && rule !== 'annotations')
+      .forEach(rule => {
+        if (typeof rules[rule] === 'function') {
+          fns.push({ rule: rule, fn: rules[rule](config[rule], rule, config) })
+        }
+      })
+
+    // Redacted values are replaced without running the type and the other
+    // rules, so the values failing them are never reported or kept.
+    const redacted = isRedacted(config)
+    if (redacted) {
+      fns = fns.filter(fn => fn.rule === '(sanitize.redact)')
+    }
+
+    /**
+     * Record the coercion of a value by a type.
+     *
+     * @param {Object} [report]
+     * @param {String} type
+     * @param {*}      value
+     * @param {*}      result
+     */
+    function coerce (report, type, value, result) {
+      if (report && type && result !== value) {
+        report.coercions.push({
+          path: report.path,
+          pointer: toPointer(report.path),
+          type: type,
+          value: value,
+          result: result
+        })
+      }
+    }
+
+    /**
+     * Handle the failures of a value, reporting them and throwing with the
+     * `null` and `throw` error policies.
+     *
+     * @param  {*}      value
+     * @param  {Array}  failures
+     * @param  {Object} [report]
+     * @param  {Object} context
+     * @return {*}
+     */
+    function settle (value, failures, report, context) {
+      // Arrays recover from a failed type sanitization by wrapping the value,
+      // unless the value is unsafe.
+      const errors = failures.filter(failure => {
+        return isUnion || failure.type !== 'array' || failure.error.unsafe
+      })
+      if (report) {
+        reportFailures(report, config, value, errors, isUnion)
+      }
+      if (errors.length > 0 && (settings.onError !== 'keep' ||
+        errors.some(failure => failure.error && failure.error.unsafe))) {
+        throw toFailure(errors, isUnion, context.path)
+      }
+      return value
+    }
+
+    /**
+     * Turn the result of an array sanitization into an array.
+     *
+     * @param  {*}      value
+     * @param  {Object} [report]
+     * @return {Array}
+     */
+    function toList (value, report) {
+      if (Array.isArray(value)) {
+        return value
+      }
+      coerce(report, 'array', value, [value])
+      return [value]
+    }
+
+    /**
+     * Sanitize a single value using the function chain. Breaks when any value
+     * sanitization throws an error.
+     *
+     * @param  {*}      value
+     * @param  {String} key
+     * @param  {Object} object
+     * @param  {Object} [report]
+     * @param  {Object} [trace]
+     * @return {*}
+     */
+    function sanitize (value, key, object, report, trace) {
+      const failures = []
+      const context = toContext(trace, config, value, object)
+
+      // Iterate over each sanitization function and return a single value.
+      function fnsRunner ({ type, rule, fn }) {
+        try {
+          const result = fn(value, key, object, config, context)
+          coerce(report, type, value, result)
+          value = result
+          return true
+        } catch (e) {
+          failures.push({ type, rule, message: e.message, error: e })
+          return false
+        }
+      }
+      const success = isUnion ? fns.some(fnsRunner) : fns.every(fnsRunner)
+
+      return success ? value : settle(value, failures, report, context)
+    }
+
+    /**
+     * Sanitize a single value using the function chain, waiting for the
+     * functions returning a promise.
+     *
+     * @param  {*}      value
+     * @param  {String} key
+     * @param  {Object} object
+     * @param  {Object} [report]
+     * @param  {Object} [trace]
+     * @return {Promise}
+     */
+    async function sanitizeAsync (value, key, object, report, trace) {
+      const failures = []
+      const context = toContext(trace, config, value, object)
+      let success = !isUnion
+
+      for (const { type, rule, fn } of fns) {
+        try {
+          const result = await settings.async.limit(() => {
+            return fn(value, key, object, config, context)
+          })
+          coerce(report, type, value, result)
+          value = result
+          if (isUnion) {
+            success = true
+            break
+          }
+        } catch (e) {
+          failures.push({ type, rule, message: e.message, error: e })
+          if (!isUnion) {
+            success = false
+            break
+          }
+        }
+      }
+
+      return success ? value : settle(value, failures, report, context)
+    }
+
+    // Build the item sanitization once, not on every value.
+    const isArray = config.type === 'array' && !redacted
+    const sanitizeItem = isArray && config.items
+      ? toItem(config.items)
+      : undefined
+
+    /**
+     * Do the entire sanitization flow using the current config.
+     *
+     * @param  {*}      value
+     * @param  {String} key
+     * @param  {Object} object
+     * @param  {Object} [report]
+     * @param  {Object} [trace]
+     * @return {*}
+     */
+    function sanitization (value, key, object, report, trace) {
+      value = normalizeString(value, settings)
+
+      // Immediately return empty values with attempting to sanitize.
+      if (isEmpty(value)) {
+        // Fallback to providing the default value instead.
+        if (config.default !== undefined && settings.applyDefaults) {
+          return sanitization(config.default, key, object, report, trace)
+        }
+        return value
+      }
+
+      try {
+        value = sanitize(value, key, object, report, trace)
+      } catch (e) {
+        return recoverFailure(e, value, settings)
+      }
+
+      // Sanitize each element of an array.
+      if (isArray) {
+        value = toList(value, report)
+        if (sanitizeItem) {
+          // Map every value to be sanitized into a new array.
+          value = value.map((val, i) => {
+            return sanitizeItem(val, key, object, childReport(report, i),
+              childTrace(trace, i, value))
+          })
+          // If any of the values are empty, refuse the sanitization.
+          value = value.some(isEmpty) ? null : value
+        }
+      }
+      return value
+    }
+
+    /**
+     * Do the entire sanitization flow asyncly, sanitizing the items
+     * of arrays concurrently.
+     *
+     * @param  {*}      value
+     * @param  {String} key
+     * @param  {Object} object
+     * @param  {Object} [report]
+     * @param  {Object} [trace]
+     * @return {Promise}
+     */
+    async function sanitizationAsync (value, key, object, report, trace) {
+      value = normalizeString(value, settings)
+
+      if (isEmpty(value)) {
+        if (config.default !== undefined && settings.applyDefaults) {
+          return sanitizationAsync(config.default, key, object, report, trace)
+        }
+        return value
+      }
+
+      try {
+        value = await sanitizeAsync(value, key, object, report, trace)
+      } catch (e) {
+        return recoverFailure(e, value, settings)
+      }
+
+      if (isArray) {
+        value = toList(value, report)
+        if (sanitizeItem) {
+          value = await Promise.all(value.map((val, i) => {
+            return sanitizeItem(val, key, object, childReport(report, i),
+              childTrace(trace, i, value))
+          }))
+          value = value.some(isEmpty) ? null : value
+        }
+      }
+      return value
+    }
+
+    return settings.async ? sanitizationAsync : sanitization
+  })
+
+  /**
+   * Pass in a value to be sanitized.
+   *
+   * @param  {*}      value
+   * @param  {String} key
+   * @param  {Object} object
+   * @param  {Object} [report]
+   * @param  {Object} [trace]
+   * @return {*}
+   */
+  return function (value, key, object, report, trace) {
+    let result = value
+
+    // Iterate over each sanitization until one is not empty.
+    sanitizations.some(function (sanitization) {
+      result = sanitization(value, key, object, report, trace)
+    })
+
+    return result
+  }
+}
+
+/**
+ * Check if the values of a config are redacted by `(sanitize.redact)`.
+ *
+ * @param  {Object}  config
+ * @return {Boolean}
+ */
+function isRedacted (config) {
+  const annotations = config.annotations || {}
+  return annotations['sanitize.redact'] !== undefined &&
+    annotations['sanitize.redact'] !== false
+}
+
+/**
+ * Assert the types, rules, annotations and declared types used by a compiled
+ * source are the built-in ones of the instance, so a new instance running a
+ * standalone module sanitizes the same way.
+ *
+ * @param {Object}   uses     Names used by the source, from `compile`
+ * @param {Function} sanitize
+ * @param {Object}   builtIns Entries of the registries of a new instance
+ */
+function assertBuiltIns (uses, sanitize, builtIns) {
+  const registries = {
+    types: 'TYPES',
+    rules: 'RULES',
+    annotations: 'ANNOTATIONS',
+    declaredTypes: 'DECLARED_TYPES'
+  }
+  const modified = []
+
+  Object.keys(registries).forEach(key => {
+    const registry = registries[key]
+    const entries = builtIns[registry]
+
+    Object.keys(uses[key]).forEach(name => {
+      const builtIn = Object.prototype.hasOwnProperty.call(entries, name)
+        ? entries[name]
+        : undefined
+      if (sanitize[registry][name] !== builtIn) {
+        modified.push(name)
+      }
+    })
+  })
+
+  if (modified.length > 0) {
+    throw new TypeError(
+      `Standalone modules need a runtime providing: ${modified.join(', ')}`
+    )
+  }
+}
+
+/**
+ * Sort the types of a union, with `nil` first.
+ *
+ * @param  {Array.<String>} types
+ * @return {Array.<String>}
+ */
+function sortTypes (types) {
+  return types.filter(type => type === 'nil')
+    .concat(types.filter(type => type !== 'nil'))
+}
+
+/**
+ * Record the failed sanitization functions of a value in the report. Unions
+ * only fail when every type failed, so they are recorded as a single error.
+ *
+ * @param {Object}  report
+ * @param {Object}  config
+ * @param {*}       value
+ * @param {Array}   failures
+ * @param {Boolean} isUnion
+ */
+function reportFailures (report, config, value, failures, isUnion) {
+  if (isUnion) {
+    report.errors.push({
+      path: report.path,
+      pointer: toPointer(report.path),
+      type: config.type,
+      value: value,
+      message: failures.map(failure => failure.message).join(', ')
+    })
+    return
+  }
+
+  failures.forEach(failure => {
+    const error = {
+      path: report.path,
+      pointer: toPointer(report.path),
+      type: config.type,
+      value: value,
+      message: failure.message
+    }
+    if (failure.rule) {
+      error.rule = failure.rule
+    }
+    report.errors.push(error)
+  })
+}
+
+/**
+ * Every time the module executes, we return a new instance.
+ *
+ * @param  {Object}  [options]
+ * @param  {Boolean} [options.dropUnknown]       Drop undeclared keys (`true`)
+ * @param  {Boolean} [options.applyDefaults]     Replace empty values with defaults (`true`)
+ * @param  {Boolean} [options.emptyStringAsNull] Sanitize `""` like a missing value
+ * @param  {Boolean} [options.trimStrings]       Trim strings before sanitization
+ * @param  {String}  [options.dateOutput]        Output of the date types
+ * @param  {String}  [options.onError]           `"keep"` (default), `"null"` or `"throw"`
+ * @return {Function}
+ */
+module.exports = function (options) {
+  const settings = toSettings(options)
+  const parents = {}
+
+  /**
+   * Return a sanitization function based on the passed shapes.
+   * Sanitize a multiple parameters config.
+   *
+   * @param  {Array.<(webapi-parser.PropertyShape|webapi-parser.Parameter)>} elements
+   * @param  {Object}   [options]
+   * @param  {Boolean}  [options.report]       Return `{ value, errors, coercions }`
+   * @param  {Object}   [options.arrayFormats] Array formats by parameter name
+   * @param  {Boolean}  [options.headers]      Case-insensitive, wildcard headers
+   * @param  {Boolean}  [options.additionalProperties] Keep undeclared keys
+   * @return {Function}
+   */
+  function sanitize (elements, options) {
+    return sanitize.fromConfig(sanitize.toConfig(elements), options)
+  }
+
+  /**
+   * Extract the sanitization config of parameters. The config is plain JSON,
+   * so it can be stored and compiled with `sanitize.fromConfig` without
+   * parsing the API again.
+   *
+   * @param  {Array.<(webapi-parser.PropertyShape|webapi-parser.Parameter)>} elements
+   * @return {Array.<Object>}
+   */
+  sanitize.toConfig = function toConfig (elements) {
+    if (!elements) {
+      return []
+    }
+    elements = Array.isArray(elements) ? elements : [elements]
+
+    const context = createContext(parents)
+    return elements.map(element => elementToSchema(element, context))
+  }
+
+  /**
+   * Record the inherited types of the declared types of a parsed model, and
+   * of its libraries, before it is resolved. Resolution merges inherited
+   * types into their children, so the shapes of resolved models only keep
+   * their own name.
+   *
+   * @param  {webapi-parser.BaseUnit} unit
+   * @return {Object} Inherited type names by declared type name
+   */
+  sanitize.declareTypes = function declareTypes (unit) {
+    const units = [unit]
+
+    for (let i = 0; i < units.length; i++) {
+      ;(units[i].declares || []).filter(shape => shape.inherits).forEach(shape => {
+        const names = shapeToSchema(shape, createContext(parents)).declaredTypes || []
+        const name = shape.name.value()
+        if (name && names[0] === name) {
+          parents[name] = names.slice(1)
+        }
+      })
+      ;(units[i].references ? units[i].references() : []).forEach(reference => {
+        if (units.indexOf(reference) === -1) {
+          units.push(reference)
+        }
+      })
+    }
+    return parents
+  }
+
+  /**
+   * Return the types sanitizing a parameter config, wrapped with the
+   * sanitizers of its declared types in `sanitize.DECLARED_TYPES`.
+   *
+   * @param  {Object} config
+   * @return {Object}
+   */
+  sanitize.toTypes = function toTypes (config) {
+    return withDeclaredTypes(sanitize.TYPES, config, sanitize.DECLARED_TYPES)
+  }
+
+  /**
+   * Return the rules sanitizing a parameter config, with the rules of its
+   * annotations in `sanitize.ANNOTATIONS`.
+   *
+   * @param  {Object} config
+   * @return {Object}
+   */
+  sanitize.toRules = function toRules (config) {
+    return withAnnotationRules(sanitize.RULES, config, sanitize.ANNOTATIONS)
+  }
+
+  /**
+   * Return a sanitization function based on the config of parameters,
+   * extracted with `sanitize.toConfig`. Accepts the same options as
+   * `sanitize`.
+   *
+   * @param  {(Array.<Object>|String)} configs
+   * @param  {Object}   [options]
+   * @return {Function}
+   */
+  sanitize.fromConfig = function fromConfig (configs, options) {
+    if (typeof configs === 'string') {
+      configs = JSON.parse(configs)
+    }
+
+    const sanitization = toObjectSanitization(configs, options)
+
+    if (!options || !options.report) {
+      return sanitization
+    }
+
+    /**
+     * Execute the sanitization while collecting a report of every error and
+     * coercion that happened on the way.
+     *
+     * @param  {Object} input
+     * @return {Object}
+     */
+    return function (input) {
+      const report = createReport()
+      const value = sanitization(input, undefined, undefined, report)
+
+      return {
+        value: value,
+        errors: report.errors,
+        coercions: report.coercions
+      }
+    }
+  }
+
+  /**
+   * Return an asynchronous sanitization function based on the passed shapes,
+   * for types and rules returning promises. The function returns a promise
+   * of the sanitized object, or of the report. The properties of objects and
+   * the items of arrays are sanitized concurrently, running at most
+   * `concurrency` types and rules at once across every call of the function.
+   *
+   * @param  {Array.<(webapi-parser.PropertyShape|webapi-parser.Parameter)>} elements
+   * @param  {Object}   [options]             Accepts the options of `sanitize`
+   * @param  {Number}   [options.concurrency] Defaults to `10`
+   * @return {Function}
+   */
+  sanitize.async = function sanitizeAsync (elements, options) {
+    options = options || {}
+
+    const concurrency = options.concurrency === undefined ? 10 : options.concurrency
+    if (!(concurrency >= 1)) {
+      throw new TypeError(`Expected the concurrency to be a positive number: ${concurrency}`)
+    }
+
+    const sanitization = toObjectSanitization(sanitize.toConfig(elements),
+      Object.assign({}, options, {
+        async: { limit: createLimiter(concurrency) }
+      }))
+
+    /**
+     * Execute the sanitization, collecting a report with the `report` option.
+     *
+     * @param  {Object}  input
+     * @return {Promise}
+     */
+    return function (input) {
+      if (!options.report) {
+        return Promise.resolve(input).then(sanitization)
+      }
+
+      const report = createReport()
+      return Promise.resolve(input).then(input => {
+        return sanitization(input, undefined, undefined, report)
+      }).then(value => {
+        return {
+          value: value,
+          errors: report.errors,
+          coercions: report.coercions
+        }
+      })
+    }
+  }
+
+  /**
+   * Compile parameters into a single specialised function, without the
+   * closures of `sanitize`. With the `standalone` option, the JavaScript
+   * source of a module exporting the function is returned instead, which
+   * requires the `runtime` module (`raml-sanitize` by default) for the types
+   * and rules of a new instance, created with the options of this instance.
+   * Without a `runtime`, sources using types, rules, annotations or declared
+   * types added or replaced on this instance are rejected.
+   *
+   * @param  {Array.<(webapi-parser.PropertyShape|webapi-parser.Parameter)>} elements
+   * @param  {Object}   [options]
+   * @param  {Boolean}  [options.standalone]   Return the source of a module
+   * @param  {String}   [options.runtime]      Module required by the source
+   * @param  {Object}   [options.arrayFormats] Array formats by parameter name
+   * @param  {Boolean}  [options.additionalProperties] Keep undeclared keys
+   * @return {(Function|String)}
+   */
+  sanitize.compile = function (elements, options) {
+    options = options || {}
+
+    if (options.report || options.headers) {
+      throw new TypeError(
+        'The report and headers options are not supported by compiled sanitizers'
+      )
+    }
+
+    const arrayFormats = options.arrayFormats || {}
+    Object.keys(arrayFormats).forEach(name => {
+      assertArrayFormat(arrayFormats[name])
+    })
+
+    const compiled = compile(sanitize, sanitize.toConfig(elements), {
+      arrayFormats: arrayFormats,
+      additionalProperties: options.additionalProperties !== undefined
+        ? !!options.additionalProperties
+        : !settings.dropUnknown
+    })
+
+    if (options.standalone) {
+      if (!options.runtime) {
+        assertBuiltIns(compiled.uses, sanitize, builtIns)
+      }
+
+      return [
+        "'use strict'",
+        '',
+        `const sanitize = require(${JSON.stringify(options.runtime || 'raml-sanitize')})(${JSON.stringify(settings)})`,
+        'const TYPES = sanitize.TYPES',
+        'const RULES = sanitize.RULES',
+        '',
+        compiled.source,
+        '',
+        `module.exports = ${compiled.name}`,
+        ''
+      ].join('\n')
+    }
+
+    const body = `${compiled.source}\n\nreturn ${compiled.name}`
+
+    return vm.compileFunction(body, ['sanitize', 'TYPES', 'RULES'])(
+      sanitize,
+      sanitize.TYPES,
+      sanitize.RULES
+    )
+  }
+
+  /**
+   * Create the sanitization function of an object from its parameters. With
+   * the `async` option, the parameters are sanitized concurrently and the
+   * function returns a promise.
+   *
+   * @param  {Array.<Object>} configs
+   * @param  {Object}   [options]
+   * @param  {Object}   [options.async] `{ limit }` of async sanitizations
+   * @return {Function}
+   */
+  function toObjectSanitization (configs, options) {
+    const async = options && options.async
+
+    if (!configs || configs.length < 1) {
+      return function () {
+        return async ? Promise.resolve({}) : {}
+      }
+    }
+    configs = Array.isArray(configs) ? configs : [configs]
+
+    const arrayFormats = (options && options.arrayFormats) || {}
+    const headers = !!(options && options.headers)
+    const additionalProperties = options && options.additionalProperties !== undefined
+      ? !!options.additionalProperties
+      : !settings.dropUnknown
+    const refs = (options && options.refs) || {}
+    const missing = !!(sanitize.TYPES.nil && sanitize.TYPES.nil.missing)
+    const sanitizations = {}
+    const nullables = {}
+    const decoders = {}
+    const patterns = []
+    const nested = []
+    const names = {}
+
+    // Map each parameter in the schema to a validation function.
+    configs.forEach(config => {
+      const name = config.name
+      const sanitization = toValueSanitization(config, {
+        arrayFormat: arrayFormats[name],
+        refs: refs,
+        async: async
+      })
+
+      // Properties can be declared with a regular expression (RAML 1.0).
+      if (config.patternName) {
+        patterns.push(toPattern(config.patternName, sanitization))
+        return
+      }
+
+      // Headers can be declared with wildcards, like `X-Custom-{*}`.
+      if (headers && name.indexOf('{*}') > -1) {
+        patterns.push(toWildcard(name, sanitization))
+        return
+      }
+
+      sanitizations[name] = sanitization
+      nullables[name] = missing && isNullable(config)
+      names[name.toLowerCase()] = name
+
+      // Decode parameters serialized with an OpenAPI style, or nested objects
+      // flattened into bracket or dot-notation keys.
+      if (config.style) {
+        decoders[name] = toStyleDecoder(config, configs.map(config => config.name))
+      } else if (config.properties) {
+        decoders[name] = toNestedDecoder(name)
+        nested.push(name)
+      }
+    })
+
+    /**
+     * Assign the sanitized value of a declared parameter.
+     *
+     * @param {Object}  sanitized
+     * @param {String}  param
+     * @param {Boolean} hasField
+     * @param {*}       sanValue
+     */
+    function assign (sanitized, param, hasField, sanValue) {
+      if (hasField || sanValue !== null) {
+        sanitized[param] = sanValue
+      } else if (nullables[param]) {
+        sanitized[param] = null
+      }
+    }
+
+    /**
+     * Execute the returned function with a model to return a sanitized object.
+     *
+     * @param  {Object} input
+     * @param  {String} [key]
+     * @param  {Object} [object]
+     * @param  {Object} [report]
+     * @param  {Object} [trace]
+     * @return {(Object|Promise)}
+     */
+    function sanitization (input, key, object, report, trace) {
+      input = input || {}
+
+      // Create a new instance to sanitize without any extra properties.
+      const sanitized = {}
+
+      // Asynchronous sanitizations are collected to run concurrently, and
+      // assigned in order once done.
+      const tasks = async ? [] : undefined
+
+      function schedule (run, done) {
+        if (tasks) {
+          tasks.push({ run, done })
+        } else {
+          done(run())
+        }
+      }
+
+      // Look up headers case-insensitively, using the declared casing.
+      if (headers) {
+        const declared = {}
+        Object.keys(input).forEach(function (header) {
+          declared[names[header.toLowerCase()] || header] = input[header]
+        })
+        input = declared
+      }
+
+      // Iterate the sanitized parameters to get a clean input.
+      Object.keys(sanitizations).forEach(function (param) {
+        let hasField = Object.prototype.hasOwnProperty.call(input, param)
+        let value = hasField ? input[param] : null
+
+        if (decoders[param]) {
+          value = decoders[param](input)
+          hasField = value !== undefined
+          value = hasField ? value : null
+        }
+
+        schedule(
+          () => sanitizations[param](value, param, input,
+            childReport(report, param), childTrace(trace, param, input)),
+          sanValue => assign(sanitized, param, hasField, sanValue)
+        )
+      })
+
+      // Sanitize undeclared keys matching a pattern, keeping the remaining
+      // keys as-is when additional properties are allowed.
+      if (patterns.length > 0 || additionalProperties) {
+        Object.keys(input).forEach(function (param) {
+          // Keys that would change the prototype of the sanitized object are
+          // never kept.
+          if (Object.prototype.hasOwnProperty.call(sanitizations, param) ||
+            isUnsafeKey(param)) {
+            return
+          }
+
+          // Skip the flattened keys of nested objects.
+          if (nested.some(name => toNestedPath(name, param))) {
+            return
+          }
+
+          const matched = patterns.some(function (pattern) {
+            const name = pattern.match(param)
+            if (name !== undefined) {
+              schedule(
+                () => pattern.sanitization(input[param], name, input,
+                  childReport(report, name), childTrace(trace, name, input)),
+                sanValue => { sanitized[name] = sanValue }
+              )
+              return true
+            }
+            return false
+          })
+
+          if (!matched && additionalProperties) {
+            schedule(() => input[param], value => { sanitized[param] = value })
+          }
+        })
+      }
+
+      if (!tasks) {
+        return sanitized
+      }
+      // Tasks throwing synchronously reject instead, like the others.
+      return Promise.all(tasks.map(task => Promise.resolve().then(task.run)))
+        .then(results => {
+          results.forEach((result, i) => tasks[i].done(result))
+          return sanitized
+        })
+    }
+
+    // Register the types referenced by recursive types.
+    if (options && options.id) {
+      refs[options.id] = sanitization
+    }
+
+    return sanitization
+  }
+
+  /**
+   * Create the sanitization of a reference to a recursive type, looked up
+   * when sanitizing as the type is still being created. Empty values are
+   * returned as-is, to stop the recursion.
+   *
+   * @param  {Object}   config
+   * @param  {Object}   refs    Sanitizations by `$id`
+   * @param  {Object}   [async] `{ limit }` of async sanitizations
+   * @return {Function}
+   */
+  function toReference (config, refs, async) {
+    const fallback = toRuleSanitization(config, { async })
+
+    return function (value, key, object, report, trace) {
+      if (isEmpty(value)) {
+        return value
+      }
+
+      const sanitization = refs[config.$ref] || fallback
+      return sanitization(value, key, object, report, trace)
+    }
+  }
+
+  /**
+   * Sanitize a single parameter config.
+   *
+   * @param  {(webapi-parser.PropertyShape|webapi-parser.Parameter)} element
+   * @param  {Object}   [options]
+   * @param  {String}   [options.arrayFormat] Array format of the parameter
+   * @return {Function}
+   */
+  sanitize.rule = function rule (element, options) {
+    return toRuleSanitization(elementToSchema(element, createContext(parents)), options)
+  }
+
+  /**
+   * Create the sanitization function of a single parameter config.
+   *
+   * @param  {Object}   config
+   * @param  {Object}   [options]
+   * @param  {String}   [options.arrayFormat] Array format of the parameter
+   * @param  {Object}   [options.async]       `{ limit }` of async sanitizations
+   * @return {Function}
+   */
+  function toRuleSanitization (config, options) {
+    const refs = (options && options.refs) || {}
+    const async = options && options.async
+
+    if (options && options.arrayFormat) {
+      assertArrayFormat(options.arrayFormat)
+      config = Object.assign({}, config, { arrayFormat: options.arrayFormat })
+    }
+    return toSanitization(config, sanitize.toRules(config), sanitize.toTypes(config), item => {
+      return toValueSanitization(item, { refs, async })
+    }, async ? Object.assign({}, settings, { async }) : settings)
+  }
+
+  /**
+   * Create the sanitization function of a parameter config, depending on
+   * whether it is a reference, a union of objects, an object or else.
+   *
+   * @param  {Object}   config
+   * @param  {Object}   [options]
+   * @param  {String}   [options.arrayFormat] Array format of the parameter
+   * @param  {Object}   [options.refs]        Sanitizations by `$id`
+   * @param  {Object}   [options.async]       `{ limit }` of async sanitizations
+   * @return {Function}
+   */
+  function toValueSanitization (config, options) {
+    const refs = (options && options.refs) || {}
+    const async = options && options.async
+
+    // Redacted values are replaced as a whole, nested objects included.
+    if (isRedacted(config)) {
+      return toRuleSanitization(config, options)
+    }
+    if (config.$ref) {
+      return toReference(config, refs, async)
+    }
+    if (config.anyOf) {
+      return toUnionSanitization(config, refs, async)
+    }
+    if (config.properties) {
+      return toNestedSanitization(config, toObjectSanitization(config.properties, {
+        additionalProperties: config.additionalProperties,
+        id: config.$id,
+        refs: refs,
+        async: async
+      }))
+    }
+    return toRuleSanitization(config, options)
+  }
+
+  /**
+   * Create the sanitization of a nested object. Objects delivered as JSON
+   * strings are parsed, and missing objects are replaced with their default,
+   * or with an empty object so the defaults of their properties apply.
+   *
+   * @param  {Object}   config
+   * @param  {Function} sanitization Sanitization of the object properties
+   * @return {Function}
+   */
+  function toNestedSanitization (config, sanitization) {
+    return function (value, key, object, report, trace) {
+      value = normalizeString(value, settings)
+
+      if (isEmpty(value)) {
+        value = config.default !== undefined && settings.applyDefaults
+          ? config.default
+          : {}
+      }
+
+      if (typeof value === 'string') {
+        try {
+          value = sanitize.TYPES.object(value, key, object, config,
+            toContext(trace, config, value, object))
+        } catch (e) {
+          if (report) {
+            reportFailures(report, config, value, [{ message: e.message }])
+          }
+          return recoverFailure(
+            toFailure([{ error: e }], false, toContext(trace, config, value, object).path),
+            value,
+            settings
+          )
+        }
+      }
+
+      return sanitization(value, key, object, report, trace)
+    }
+  }
+
+  /**
+   * Create the sanitization function of a union of object types. Objects are
+   * sanitized with the properties of the member selected by its
+   * discriminator, or by the best structural match. The types of the union
+   * apply first, like for other unions.
+   *
+   * @param  {Object}   config
+   * @param  {Object}   refs    Sanitizations by `$id`
+   * @param  {Object}   [async] `{ limit }` of async sanitizations
+   * @return {Function}
+   */
+  function toUnionSanitization (config, refs, async) {
+    const union = Object.assign({}, config)
+    delete union.anyOf
+
+    const sanitization = toRuleSanitization(union, { refs, async })
+    const members = config.anyOf
+      .filter(member => member.properties)
+      .map(member => Object.assign(toMember(member), {
+        sanitization: toValueSanitization(member, { refs, async })
+      }))
+
+    return function (value, key, object, report, trace) {
+      return andThen(sanitization(value, key, object, report, trace), value => {
+        if (isEmpty(value) || value.constructor !== {}.constructor) {
+          return value
+        }
+
+        const member = selectMember(members, value)
+        return member ? member.sanitization(value, key, object, report, trace) : value
+      })
+    }
+  }
+
+  /**
+   * Return a sanitization function for every part of an operation request.
+   *
+   * @param  {webapi-parser.Operation} operation
+   * @param  {Object}                  [options]
+   * @param  {webapi-parser.EndPoint}  [options.endPoint] Declares URI parameters
+   * @return {Function}
+   */
+  sanitize.operation = function operation (operation, options) {
+    return sanitize.request(operation.request, options)
+  }
+
+  /**
+   * Return a sanitization function for every part of a request. The function
+   * takes `{ query, headers, path, cookies, body, contentType }` and returns
+   * each part sanitized, using the payload matching the content type for the
+   * body. Bodies matching none of the payloads fail their sanitization.
+   *
+   * @param  {webapi-parser.Request} request
+   * @param  {Object}                [options]
+   * @param  {webapi-parser.EndPoint} [options.endPoint] Declares URI parameters
+   * @param  {Boolean}               [options.report]   Return `{ value, errors, coercions }`
+   * @return {Function}
+   */
+  sanitize.request = function request (request, options) {
+    options = options || {}
+
+    const partOptions = { arrayFormats: options.arrayFormats }
+    const endPoint = options.endPoint
+    // RAML 1.0 can declare the query string as a type instead of parameters.
+    const queryParameters = request &&
+      request.queryParameters.length === 0 && request.queryString
+      ? request.queryString.properties
+      : request && request.queryParameters
+    const uriParameters = mergeParameters(
+      endPoint ? endPoint.parameters : [],
+      request ? request.uriParameters : []
+    )
+
+    const query = sanitize(queryParameters, partOptions)
+    const headers = sanitize(request && request.headers, {
+      arrayFormats: options.arrayFormats,
+      headers: true
+    })
+    const path = sanitize(uriParameters, partOptions)
+    const cookies = sanitize(request && request.cookieParameters, partOptions)
+    const bodies = (request ? request.payloads : []).map(payload => {
+      const config = elementToSchema(getSchema(payload), createContext(parents))
+
+      return {
+        mediaType: payload.mediaType.value(),
+        sanitization: config.properties
+          ? toObjectSanitization(config.properties, {
+            arrayFormats: options.arrayFormats,
+            additionalProperties: config.additionalProperties,
+            id: config.$id
+          })
+          : toValueSanitization(config)
+      }
+    })
+
+    /**
+     * Sanitize the parts of a request.
+     *
+     * @param  {Object} input
+     * @param  {Object} [report]
+     * @return {Object}
+     */
+    function sanitization (input, report) {
+      input = input || {}
+
+      const contentType = input.contentType ||
+        (input.headers && input.headers['content-type'])
+      const body = selectPayload(bodies, contentType)
+      const part = name => [childReport(report, name), childTrace(undefined, name, input)]
+      const sanitized = {
+        query: query(input.query, 'query', input, ...part('query')),
+        headers: headers(input.headers, 'headers', input, ...part('headers')),
+        path: path(input.path, 'path', input, ...part('path')),
+        cookies: cookies(input.cookies, 'cookies', input, ...part('cookies')),
+        body: input.body
+      }
+
+      if (body) {
+        sanitized.body = body.sanitization(input.body, 'body', input, ...part('body'))
+      } else if (bodies.length > 0 && !isEmpty(input.body)) {
+        // Bodies of other content types would skip the sanitization of the
+        // declared payloads, so they are never kept.
+        const error = toUnsafeError(
+          `request: no payload for the content type "${contentType || ''}"`)
+        error.path = '/body'
+        if (report) {
+          reportFailures(childReport(report, 'body'), {}, input.body, [error])
+        }
+        sanitized.body = recoverFailure(error, input.body, settings)
+      }
+
+      return sanitized
+    }
+
+    if (!options.report) {
+      return function (input) {
+        return sanitization(input)
+      }
+    }
+
+    return function (input) {
+      const report = createReport()
+      const value = sanitization(input, report)
+
+      return {
+        value: value,
+        errors: report.errors,
+        coercions: report.coercions
+      }
+    }
+  }
+
+  /**
+   * Create a Connect and Express middleware sanitizing requests matching an
+   * operation of a model, or of a RAML file path.
+   *
+   * @param  {(webapi-parser.WebApiBaseUnit|String|Promise)} model
+   * @param  {Object}   [options]
+   * @param  {String}   [options.basePath] Path the API is mounted on
+   * @return {Function}
+   */
+  sanitize.middleware = function (model, options) {
+    return middleware.connect(sanitize, model, options)
+  }
+
+  /**
+   * Create a Koa middleware sanitizing requests matching an operation of a
+   * model, or of a RAML file path.
+   *
+   * @param  {(webapi-parser.WebApiBaseUnit|String|Promise)} model
+   * @param  {Object}   [options]
+   * @param  {String}   [options.basePath] Path the API is mounted on
+   * @return {Function}
+   */
+  sanitize.koa = function (model, options) {
+    return middleware.koa(sanitize, model, options)
+  }
+
+  /**
+   * Return a serialization function based on the passed shapes, the reverse
+   * of `sanitize`. Values are turned back into the strings of a query,
+   * headers or URI parameters: dates are formatted, arrays are joined with
+   * their array format or style and objects are encoded as JSON, so the
+   * serialized values sanitize into the same values.
+   *
+   * @param  {Array.<(webapi-parser.PropertyShape|webapi-parser.Parameter)>} elements
+   * @param  {Object}   [options]
+   * @param  {Object}   [options.arrayFormats] Array formats by parameter name
+   * @param  {Boolean}  [options.additionalProperties] Keep undeclared keys
+   * @return {Function}
+   */
+  sanitize.serialize = function serialize (elements, options) {
+    const configs = sanitize.toConfig(elements)
+    const arrayFormats = (options && options.arrayFormats) || {}
+    const additionalProperties = options && options.additionalProperties !== undefined
+      ? !!options.additionalProperties
+      : !settings.dropUnknown
+    const serializations = {}
+    const patterns = []
+
+    Object.keys(arrayFormats).forEach(name => {
+      assertArrayFormat(arrayFormats[name])
+    })
+
+    configs.forEach(config => {
+      const serialization = toParamSerialization(
+        config, arrayFormats[config.name] || 'json')
+
+      if (config.patternName) {
+        patterns.push(toPattern(config.patternName, serialization))
+        return
+      }
+      serializations[config.name] = serialization
+    })
+
+    /**
+     * Serialize the values of the declared parameters.
+     *
+     * @param  {Object} values
+     * @return {Object}
+     */
+    return function (values) {
+      values = values || {}
+
+      const serialized = {}
+
+      Object.keys(values).forEach(key => {
+        if (values[key] === undefined) {
+          return
+        }
+        if (Object.prototype.hasOwnProperty.call(serializations, key)) {
+          serializations[key](values[key], key, values, serialized)
+          return
+        }
+
+        const matched = patterns.some(pattern => {
+          const name = pattern.match(key)
+          if (name !== undefined) {
+            pattern.sanitization(values[key], name, values, serialized)
+            return true
+          }
+          return false
+        })
+
+        if (!matched && additionalProperties) {
+          serialized[key] = values[key]
+        }
+      })
+
+      return serialized
+    }
+  }
+
+  /**
+   * Create the serialization of a parameter, writing its wire value into the
+   * output. Parameters with an OpenAPI `style` are encoded with it, `multi`
+   * arrays are written as arrays of strings.
+   *
+   * @param  {Object}   config
+   * @param  {String}   arrayFormat
+   * @return {Function}
+   */
+  function toParamSerialization (config, arrayFormat) {
+    const encoder = config.style && toStyleEncoder(config)
+
+    return function (value, key, object, output) {
+      if (isEmpty(value)) {
+        output[key] = value
+        return
+      }
+
+      if (encoder) {
+        encoder(toStyleParts(value, config, key, object), output)
+        return
+      }
+
+      if (Array.isArray(value) && arrayFormat !== 'json') {
+        const items = value.map(item => toWireString(item, config.items, key, object))
+        output[key] = arrayFormat === 'multi'
+          ? items
+          : items.join(ARRAY_DELIMITERS[arrayFormat])
+        return
+      }
+
+      output[key] = toWireString(value, config, key, object)
+    }
+  }
+
+  /**
+   * Serialize the parts of a styled parameter, the items of an array or the
+   * properties of an object, into strings.
+   *
+   * @param  {*}      value
+   * @param  {Object} config
+   * @param  {String} key
+   * @param  {Object} object
+   * @return {*}
+   */
+  function toStyleParts (value, config, key, object) {
+    if (Array.isArray(value)) {
+      return value.map(item => toWireString(item, config.items, key, object))
+    }
+    if (value.constructor === {}.constructor) {
+      const properties = {}
+      ;(config.properties || []).forEach(property => {
+        properties[property.name] = property
+      })
+
+      const parts = {}
+      Object.keys(value).forEach(name => {
+        parts[name] = toWireString(value[name], properties[name], name, value)
+      })
+      return parts
+    }
+    return toWireString(value, config, key, object)
+  }
+
+  /**
+   * Serialize a value into a string, encoding arrays and objects as JSON.
+   *
+   * @param  {*}      value
+   * @param  {Object} [config]
+   * @param  {String} [key]
+   * @param  {Object} [object]
+   * @return {String}
+   */
+  function toWireString (value, config, key, object) {
+    config = config || {}
+
+    if (value === null || value === undefined) {
+      return ''
+    }
+    if (Array.isArray(value) || (typeof value === 'object' &&
+      !(value instanceof Date) && !isDateType(getValueType(value, config)))) {
+      return JSON.stringify(toJSON(value, config, {}))
+    }
+
+    const serializer = sanitize.SERIALIZERS[getValueType(value, config)] ||
+      (value instanceof Date ? sanitize.SERIALIZERS.dateTime : String)
+    return serializer(value, key, object, config)
+  }
+
+  /**
+   * Convert a value into JSON, formatting the dates of the declared
+   * properties and items. Numbers and booleans are kept as they are.
+   *
+   * @param  {*}      value
+   * @param  {Object} [config]
+   * @param  {Object} refs    Configs by `$id`, to follow recursive types
+   * @return {*}
+   */
+  function toJSON (value, config, refs) {
+    config = config || {}
+
+    if (config.$id) {
+      refs = Object.assign({}, refs, { [config.$id]: config })
+    }
+    if (config.$ref && refs[config.$ref]) {
+      config = refs[config.$ref]
+    }
+
+    if (value === null || value === undefined) {
+      return value
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => toJSON(item, config.items, refs))
+    }
+
+    const type = getValueType(value, config)
+
+    if (value instanceof Date || isDateType(type)) {
+      const serializer = sanitize.SERIALIZERS[type] ||
+        sanitize.SERIALIZERS.dateTime
+      return typeof value === 'string' ? value : serializer(value, undefined, undefined, config)
+    }
+    if (typeof value === 'bigint') {
+      return String(value)
+    }
+    if (typeof value !== 'object') {
+      return value
+    }
+
+    if (config.anyOf) {
+      const members = config.anyOf
+        .filter(member => member.properties)
+        .map(member => Object.assign(toMember(member), { config: member }))
+      const member = selectMember(members, value)
+      config = member ? member.config : config
+    }
+
+    const properties = config.properties || []
+    const obj = {}
+
+    Object.keys(value).forEach(name => {
+      const property = properties.find(property => property.name === name) ||
+        properties.find(property => property.patternName &&
+          new RegExp(property.patternName).test(name))
+
+      obj[name] = toJSON(value[name], property, refs)
+    })
+
+    return obj
+  }
+
+  /**
+   * Create the sanitization of arrays using an array format, one of `json`,
+   * `multi`, `csv`, `ssv`, `tsv` or `pipes`.
+   *
+   * @param  {String}   [format]
+   * @return {Function}
+   */
+  sanitize.arrayType = function arrayType (format) {
+    return toArrayType(format, settings)
+  }
+
+  /**
+   * Create the built-in facet rules. They are not enabled by default, copy
+   * the ones you need into `sanitize.RULES`.
+   *
+   * @param  {Object} [options]
+   * @return {Object}
+   */
+  sanitize.facetRules = function facetRules (options) {
+    return toFacetRules(options)
+  }
+
+  /**
+   * Create the sanitization of 64-bit integers, returning either a `BigInt`
+   * or a lossless string.
+   *
+   * @param  {String}   [output]
+   * @return {Function}
+   */
+  sanitize.longType = function longType (output) {
+    return toLongType(output)
+  }
+
+  /**
+   * Create the sanitization of booleans with a policy, `permissive` or
+   * `strict`, and a vocabulary of truthy and falsy words.
+   *
+   * @param  {Object}   [options]
+   * @return {Function}
+   */
+  sanitize.booleanType = function booleanType (options) {
+    return toBooleanType(options)
+  }
+
+  /**
+   * Create the sanitization of the `nil` type, configured with the values
+   * converted into `null`.
+   *
+   * @param  {Object}   [options]
+   * @return {Function}
+   */
+  sanitize.nilType = function nilType (options) {
+    return toNilType(options)
+  }
+
+  /**
+   * Create the strict sanitizations of the date types, configured with the
+   * output representation and the timezone of `datetime-only` values.
+   *
+   * @param  {Object} [options]
+   * @return {Object}
+   */
+  sanitize.dateTypes = function dateTypes (options) {
+    return toDateTypes(options)
+  }
+
+  /**
+   * Create the serializations of the date types, the reverse of
+   * `sanitize.dateTypes`, configured with the timezone of `datetime-only`
+   * values.
+   *
+   * @param  {Object} [options]
+   * @return {Object}
+   */
+  sanitize.dateSerializers = function dateSerializers (options) {
+    return toDateSerializers(options)
+  }
+
+  /**
+   * Provide sanitization based on types.
+   *
+   * @type {Object}
+   */
+  sanitize.TYPES = {
+    string: String,
+    number: toNumber,
+    float: toFloat,
+    double: toNumber,
     integer: toInteger,
-    boolean: toBoolean,
-    array: toArray,
-    object: toObject,
+    long: toLongType('bigint'),
+    boolean: toBooleanType(),
+    array: toArrayType('json', settings),
+    object: toObjectType(settings),
     date: toDate,
-    dateTime: toDate,
-    dateTimeOnly: toDate
+    nil: toNilType()
   }
 
+  Object.assign(sanitize.TYPES, toDateTypes({ output: settings.dateOutput }))
+
+  /**
+   * The options of the instance, with their defaults.
+   *
+   * @type {Object}
+   */
+  sanitize.options = settings
+
   /**
    * Provide sanitization based on rules.
    *
@@ -313,26 +3350,235 @@ module.exports = function () {
    */
   sanitize.RULES = {}
 
+  /**
+   * Provide sanitization of declared types, by type name. Each entry has a
+   * `before` and/or an `after` function, running around the type.
+   *
+   * @type {Object}
+   */
+  sanitize.DECLARED_TYPES = {}
+
+  /**
+   * Provide sanitization based on annotations, by annotation name. Entries
+   * are the name of a rule in `sanitize.RULES` or a rule function.
+   *
+   * @type {Object}
+   */
+  sanitize.ANNOTATIONS = {
+    'sanitize.trim': ANNOTATION_RULES.trim,
+    'sanitize.lowercase': ANNOTATION_RULES.lowercase,
+    'sanitize.collapseWhitespace': ANNOTATION_RULES.collapseWhitespace,
+    'sanitize.redact': ANNOTATION_RULES.redact
+  }
+
+  // Entries of the registries of a new instance, to find the ones added or
+  // replaced on this instance.
+  const builtIns = {
+    TYPES: Object.assign({}, sanitize.TYPES),
+    RULES: {},
+    ANNOTATIONS: Object.assign({}, sanitize.ANNOTATIONS),
+    DECLARED_TYPES: {}
+  }
+
+  /**
+   * Provide serialization based on types, used by `sanitize.serialize`.
+   *
+   * @type {Object}
+   */
+  sanitize.SERIALIZERS = {
+    string: String,
+    number: String,
+    float: String,
+    double: String,
+    integer: String,
+    long: String,
+    boolean: String,
+    date: fromDate
+  }
+
+  Object.assign(sanitize.SERIALIZERS, toDateSerializers())
+
   return sanitize
 }
 
+/**
+ * Describe an object member of a union for its selection.
+ *
+ * @param  {Object} config
+ * @return {Object}
+ */
+function toMember (config) {
+  const properties = config.properties.filter(property => !property.patternName)
+  const patterns = config.properties.filter(property => property.patternName)
+
+  return {
+    discriminator: config.discriminator,
+    discriminatorValue: config.discriminatorValue,
+    names: properties.map(property => property.name),
+    required: properties
+      .filter(property => property.required)
+      .map(property => property.name),
+    patterns: patterns.map(property => new RegExp(property.patternName)),
+    closed: config.additionalProperties === false
+  }
+}
+
+/**
+ * Select the member of a union to sanitize an object with. The member with a
+ * matching discriminator value wins, otherwise the member with the best
+ * structural match.
+ *
+ * @param  {Array.<Object>} members
+ * @param  {Object}         value
+ * @return {Object}
+ */
+function selectMember (members, value) {
+  const discriminated = members.find(member => {
+    return member.discriminator !== undefined &&
+      value[member.discriminator] === member.discriminatorValue
+  })
+
+  if (discriminated) {
+    return discriminated
+  }
+
+  let selected
+  let max = -Infinity
+  members.forEach(member => {
+    const score = scoreMember(member, value)
+    if (score > max) {
+      selected = member
+      max = score
+    }
+  })
+  return selected
+}
+
+/**
+ * Score the structural match of an object with a member of a union. Every
+ * declared key counts for the member, every missing required property and
+ * undeclared key of a closed member counts against it.
+ *
+ * @param  {Object} member
+ * @param  {Object} value
+ * @return {Number}
+ */
+function scoreMember (member, value) {
+  let score = 0
+
+  Object.keys(value).forEach(key => {
+    if (member.names.indexOf(key) > -1 ||
+      member.patterns.some(pattern => pattern.test(key))) {
+      score++
+    } else if (member.closed) {
+      score--
+    }
+  })
+  member.required.forEach(name => {
+    if (!Object.prototype.hasOwnProperty.call(value, name)) {
+      score--
+    }
+  })
+  return score
+}
+
 /**
  * Converts DomainElement instances to a sanitization schema.
  * Passed elements should have an attached schemas as an AnyShape
  * subclass instance.
  *
  * @type {(webapi-parser.PropertyShape|webapi-parser.Parameter)} element
+ * @param  {Object} [context] Shapes being converted, see `createContext`
  * @return {Object} - Schema compatible with sanitization.
  */
-function elementToSchema (element) {
-  const shape = getSchema(element)
+function elementToSchema (element, context) {
   const required = (
     (element.required && element.required.value()) ||
     (element.minCount && element.minCount > 0))
-  const data = {
+  const data = Object.assign({
     name: element.name.value(),
-    required: !!required,
-    type: getShapeType(shape)
+    required: !!required
+  }, shapeToSchema(getSchema(element), context || createContext()))
+
+  if (element.patternName && element.patternName.option) {
+    data.patternName = element.patternName.value()
+  }
+  if (element.style && element.style.option) {
+    data.style = element.style.value()
+    if (element.explode.option !== undefined) {
+      data.explode = element.explode.value()
+    }
+    if (element.allowReserved.value()) {
+      data.allowReserved = true
+    }
+  }
+  return data
+}
+
+/**
+ * Create the context of a schema conversion, keeping track of the shapes
+ * being converted to reference recursive types by name.
+ *
+ * @param  {Object} [parents] Inherited type names by declared type name
+ * @return {Object}
+ */
+function createContext (parents) {
+  return { stack: [], names: {}, parents: parents || {} }
+}
+
+/**
+ * Convert a shape into the type and facets of a sanitization schema. Links to
+ * declared types are followed and inherited types are merged, the facets of
+ * the shape taking precedence over the inherited ones. A shape referencing a
+ * type being converted (a recursive type) becomes a `$ref` to the `$id` of
+ * that type. The names of declared types are kept in `declaredTypes`, and
+ * the values of annotations by name in `annotations`.
+ *
+ * @param  {webapi-parser.AnyShape} shape
+ * @param  {Object}                 context
+ * @return {Object}
+ */
+function shapeToSchema (shape, context) {
+  const linked = !!(shape.isLink && shape.linkTarget)
+  shape = resolveLink(shape)
+
+  const id = shape.fixpoint !== undefined ? shape.fixpoint.value() : shape.id
+  const parent = id && context.stack.find(entry => entry.id === id)
+
+  if (parent) {
+    if (!parent.data.$id) {
+      parent.data.$id = uniqueName(context, parent)
+    }
+    return { type: parent.data.type, $ref: parent.data.$id }
+  }
+
+  // Resolved recursive shapes referencing a type outside of the elements.
+  if (shape.fixpoint !== undefined) {
+    return { type: 'object' }
+  }
+
+  const data = { type: getShapeType(shape) }
+  const entry = { id: id, name: shape.name.value(), data: data }
+  const declaredTypes = entry.name && (linked || isDeclared(shape)) ? [entry.name] : []
+
+  context.stack.push(entry)
+
+  ;(shape.inherits || []).forEach(parent => {
+    const inherited = shapeToSchema(parent, context)
+    ;(inherited.declaredTypes || []).forEach(name => {
+      if (declaredTypes.indexOf(name) === -1) {
+        declaredTypes.push(name)
+      }
+    })
+    mergeSchema(data, inherited)
+  })
+
+  if (shape.customDomainProperties && shape.customDomainProperties.length > 0) {
+    data.annotations = Object.assign({}, data.annotations)
+    shape.customDomainProperties.forEach(annotation => {
+      const value = dataNodeToJSON(annotation.extension)
+      data.annotations[getAnnotationName(annotation)] = value === null ? true : value
+    })
   }
   if (shape.values && shape.values.length > 0) {
     data.enum = shape.values.map(val => val.value.value())
@@ -356,11 +3602,175 @@ function elementToSchema (element) {
     }
   })
   if (data.type === 'array' && shape.items) {
-    data.items = elementToSchema(shape.items)
+    data.items = elementToSchema(shape.items, context)
+  }
+  // Unions of object types are sanitized with the properties of a member.
+  if (shape.anyOf !== undefined) {
+    const members = shape.anyOf.map(member => shapeToSchema(member, context))
+    if (members.some(member => member.properties)) {
+      data.anyOf = members
+    }
+  }
+  if (shape.discriminator && shape.discriminator.option) {
+    data.discriminator = shape.discriminator.value()
+  }
+  if (data.discriminator) {
+    data.discriminatorValue = shape.discriminatorValue.option ||
+      shape.name.value()
+  }
+  if (shape.properties && shape.properties.length > 0) {
+    data.properties = mergeProperties(
+      data.properties || [],
+      shape.properties.map(property => elementToSchema(property, context))
+    )
+  }
+  // Objects not declaring `additionalProperties` follow the `dropUnknown`
+  // option of the instance.
+  const additionalProperties = getAdditionalProperties(shape)
+  if (data.properties && additionalProperties !== undefined) {
+    data.additionalProperties = additionalProperties
   }
+  // Resolved models do not keep the inheritance of declared types, recorded
+  // with `sanitize.declareTypes`.
+  declaredTypes.slice().forEach(name => {
+    ;(context.parents[name] || []).forEach(parent => {
+      if (declaredTypes.indexOf(parent) === -1) {
+        declaredTypes.push(parent)
+      }
+    })
+  })
+  if (declaredTypes.length > 0) {
+    data.declaredTypes = declaredTypes
+  }
+
+  context.stack.pop()
+
+  return data
+}
+
+/**
+ * Merge the schema of an inherited type into a schema. Properties are merged
+ * by name, annotations by annotation name, other facets are replaced.
+ *
+ * @param  {Object} data
+ * @param  {Object} inherited
+ * @return {Object}
+ */
+function mergeSchema (data, inherited) {
+  Object.keys(inherited).forEach(key => {
+    if (key === '$id' || key === 'declaredTypes' ||
+      (key === 'type' && data.type !== undefined)) {
+      return
+    }
+    if (key === 'annotations') {
+      data.annotations = Object.assign({}, data.annotations, inherited.annotations)
+    } else {
+      data[key] = key === 'properties' && data.properties
+        ? mergeProperties(data.properties, inherited.properties)
+        : inherited[key]
+    }
+  })
   return data
 }
 
+/**
+ * Merge the schemas of properties, later properties replacing earlier ones
+ * with the same name.
+ *
+ * @param  {Array.<Object>} properties
+ * @param  {Array.<Object>} overrides
+ * @return {Array.<Object>}
+ */
+function mergeProperties (properties, overrides) {
+  const names = overrides.map(property => property.name)
+
+  return properties
+    .filter(property => names.indexOf(property.name) === -1)
+    .concat(overrides)
+}
+
+/**
+ * Return a unique name for a referenced type, based on its declared name.
+ *
+ * @param  {Object} context
+ * @param  {Object} entry
+ * @return {String}
+ */
+function uniqueName (context, entry) {
+  const base = entry.name || 'type'
+  let name = base
+
+  for (let i = 2; context.names[name] && context.names[name] !== entry.id; i++) {
+    name = `${base}${i}`
+  }
+
+  context.names[name] = entry.id
+  return name
+}
+
+/**
+ * Check whether a shape is a declared type, and not an inline type named
+ * after its property, for declared types used without a link (like in
+ * resolved models).
+ *
+ * @param  {webapi-parser.AnyShape} shape
+ * @return {Boolean}
+ */
+function isDeclared (shape) {
+  return DECLARED_ID_REGEXP.test(shape.id || '')
+}
+
+/**
+ * Convert a data node, like the value of an annotation, into JSON.
+ *
+ * @param  {webapi-parser.DataNode} node
+ * @return {*}
+ */
+function dataNodeToJSON (node) {
+  if (!node) {
+    return null
+  }
+  // ArrayNode
+  if (node.members !== undefined) {
+    return node.members.map(dataNodeToJSON)
+  }
+  // ObjectNode
+  if (node.value === undefined) {
+    const obj = {}
+    Object.keys(node.properties || {}).forEach(key => {
+      obj[key] = dataNodeToJSON(node.properties[key])
+    })
+    return obj
+  }
+  // ScalarNode
+  const value = node.value.value()
+  const dataType = node.dataType.value().split('#').pop()
+
+  if (dataType === 'nil') {
+    return null
+  }
+  if (dataType === 'boolean') {
+    return value === 'true'
+  }
+  if (NUMBER_DATA_TYPES.indexOf(dataType) > -1) {
+    return Number(value)
+  }
+  return value
+}
+
+/**
+ * Follow links to declared types.
+ *
+ * @param  {webapi-parser.AnyShape} shape
+ * @return {webapi-parser.AnyShape}
+ */
+function resolveLink (shape) {
+  while (shape.isLink && shape.linkTarget) {
+    shape = shape.linkTarget
+  }
+  return shape
+}
+
 /**
  * Gets element schema.
  *
@@ -371,6 +3781,196 @@ function getSchema (element) {
   return element.schema || element.range || element
 }
 
+/**
+ * Create a header wildcard from a declared name like `X-Custom-{*}`. The
+ * wildcard matches header names case-insensitively, returning the name with
+ * the declared casing.
+ *
+ * @param  {String}   name
+ * @param  {Function} sanitization
+ * @return {Object}
+ */
+function toWildcard (name, sanitization) {
+  const parts = name.split('{*}')
+  const regexp = new RegExp(`^${parts.map(escapeRegExp).join('(.+)')}$`, 'i')
+
+  return {
+    sanitization: sanitization,
+    match: function (header) {
+      const match = regexp.exec(header)
+      if (match) {
+        return parts.reduce((result, part, i) => result + match[i] + part)
+      }
+    }
+  }
+}
+
+/**
+ * Create a pattern property from a regular expression (RAML 1.0). Matching
+ * keys are sanitized with their own name.
+ *
+ * @param  {String}   pattern
+ * @param  {Function} sanitization
+ * @return {Object}
+ */
+function toPattern (pattern, sanitization) {
+  const regexp = new RegExp(pattern)
+
+  return {
+    sanitization: sanitization,
+    match: function (key) {
+      return regexp.test(key) ? key : undefined
+    }
+  }
+}
+
+/**
+ * Return whether an object shape declares to allow additional properties, or
+ * `undefined` when it does not declare it. Parsed shapes are open by
+ * default, so only an `additionalProperties: true` with a position in the
+ * source counts as declared.
+ *
+ * @param  {webapi-parser.NodeShape} shape
+ * @return {Boolean}
+ */
+function getAdditionalProperties (shape) {
+  if (!shape.closed || shape.closed.option === undefined) {
+    return undefined
+  }
+  if (shape.closed.value()) {
+    return false
+  }
+  return hasPosition(shape.closed) || !hasPosition(shape) ? true : undefined
+}
+
+/**
+ * Get the name of an annotation. The directives of `annotations.raml` are
+ * named `sanitize.<directive>` whatever the name the library is used with.
+ *
+ * @param  {webapi-parser.DomainExtension} annotation
+ * @return {String}
+ */
+function getAnnotationName (annotation) {
+  const definition = annotation.definedBy
+
+  if (definition && definition.id && isAnnotationsLibrary(definition.id.split('#')[0])) {
+    return `sanitize.${definition.name.value()}`
+  }
+  return annotation.name.value()
+}
+
+/**
+ * Check if a location is the library of the sanitization directives.
+ *
+ * @param  {String}  location
+ * @return {Boolean}
+ */
+function isAnnotationsLibrary (location) {
+  try {
+    return fs.realpathSync(url.fileURLToPath(location)) === fs.realpathSync(ANNOTATIONS_LIBRARY)
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Check if an element of a model has a position in the parsed source.
+ * Elements created with the domain model have none.
+ *
+ * @param  {Object}  element
+ * @return {Boolean}
+ */
+function hasPosition (element) {
+  const lexical = element.annotations && element.annotations().lexical()
+  return !!(lexical && lexical.start && (lexical.start.line > 0 || lexical.start.column > 0))
+}
+
+/**
+ * Escape a string for use in a regular expression.
+ *
+ * @param  {String} str
+ * @return {String}
+ */
+function escapeRegExp (str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Merge parameters, later parameters replacing earlier ones with the same
+ * name.
+ *
+ * @param  {Array.<webapi-parser.Parameter>} parameters
+ * @param  {Array.<webapi-parser.Parameter>} overrides
+ * @return {Array.<webapi-parser.Parameter>}
+ */
+function mergeParameters (parameters, overrides) {
+  const names = overrides.map(param => param.name.value())
+
+  return parameters
+    .filter(param => names.indexOf(param.name.value()) === -1)
+    .concat(overrides)
+}
+
+/**
+ * Select the payload matching a content type. Falls back to wildcard media
+ * types and to a single payload when either has no media type.
+ *
+ * @param  {Array.<Object>} payloads
+ * @param  {String}         [contentType]
+ * @return {Object}
+ */
+function selectPayload (payloads, contentType) {
+  const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase()
+  const [type] = mediaType.split('/')
+
+  const matches = [mediaType, `${type}/*`, '*/*']
+  for (const match of matches) {
+    const payload = payloads.find(payload => {
+      return String(payload.mediaType).toLowerCase() === match
+    })
+    if (payload) {
+      return payload
+    }
+  }
+
+  if (payloads.length === 1 && (!mediaType || !payloads[0].mediaType)) {
+    return payloads[0]
+  }
+}
+
+/**
+ * Map of data types to the names of their type sanitization, where they
+ * differ.
+ *
+ * @type {Object}
+ */
+const DATA_TYPES = {
+  date: 'dateOnly',
+  time: 'timeOnly'
+}
+
+/**
+ * Id of a declared type, like `#/declarations/types/User` or
+ * `#/declarations/types/scalar/Id`.
+ *
+ * @type {RegExp}
+ */
+const DECLARED_ID_REGEXP = /#\/declarations\/types\/(?:[^/]+\/)?[^/]+$/
+
+/**
+ * Data types of the numbers of data nodes.
+ *
+ * @type {Array.<String>}
+ */
+const NUMBER_DATA_TYPES = ['integer', 'long', 'float', 'double', 'decimal', 'number']
+
+/**
+ * Graph type of the `nil` shape.
+ *
+ * @type {String}
+ */
+const NIL_SHAPE = 'http://a.ml/vocabularies/shapes#NilShape'
+
 /**
  * Returns a one-word string representing a shape type.
  *
@@ -378,9 +3978,12 @@ function getSchema (element) {
  * @return {string|Array<string>}
  */
 function getShapeType (shape) {
+  shape = resolveLink(shape)
+
   // ScalarShape
-  if (shape.dataType !== undefined) {
-    return shape.dataType.value().split('#').pop()
+  if (shape.dataType !== undefined && shape.dataType.value()) {
+    const dataType = shape.dataType.value().split('#').pop()
+    return DATA_TYPES[dataType] || dataType
   }
   // UnionShape
   if (shape.anyOf !== undefined) {
@@ -390,8 +3993,20 @@ function getShapeType (shape) {
   if (shape.items !== undefined) {
     return 'array'
   }
-  // NodeShape
+  // NodeShape, unless it is the nullable type `[string, nil]`
   if (shape.properties !== undefined) {
+    const inherited = (shape.inherits || []).map(getShapeType)
+    if (shape.properties.length === 0 && inherited.indexOf('nil') > -1) {
+      return inherited
+    }
     return 'object'
   }
+  // NilShape
+  if (shape.graph && shape.graph().types().indexOf(NIL_SHAPE) > -1) {
+    return 'nil'
+  }
+  // Types inheriting from a declared type, like `type: Id`
+  if (shape.inherits && shape.inherits.length > 0) {
+    return getShapeType(shape.inherits[0])
+  }
 }
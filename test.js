@@ -1,4 +1,9 @@
-/* global describe, it, before */
+/* global describe, it, before, after, BigInt */
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const url = require('url')
 const util = require('util')
 const expect = require('chai').expect
 const sanitize = require('./')()
@@ -12,7 +17,11 @@ const TYPES = {
   boolean: 'http://www.w3.org/2001/XMLSchema#boolean',
   date: 'http://www.w3.org/2001/XMLSchema#date',
   dateTime: 'http://www.w3.org/2001/XMLSchema#dateTime',
-  dateTimeOnly: 'http://a.ml/vocabularies/shapes#dateTimeOnly'
+  time: 'http://www.w3.org/2001/XMLSchema#time',
+  dateTimeOnly: 'http://a.ml/vocabularies/shapes#dateTimeOnly',
+  long: 'http://www.w3.org/2001/XMLSchema#long',
+  float: 'http://www.w3.org/2001/XMLSchema#float',
+  double: 'http://www.w3.org/2001/XMLSchema#double'
 }
 
 function asParam (shape) {
@@ -22,6 +31,10 @@ function asParam (shape) {
     .withRequired(true)
 }
 
+function property (name, shape) {
+  return new domain.PropertyShape().withName(name).withRange(shape)
+}
+
 /**
  * An array of all the tests to execute. Tests are in the format of:
  * ["params", "object", "valid"]
@@ -148,6 +161,77 @@ const TESTS = [
     { param: ['123'] },
     { param: 123 }
   ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.integer).withFormat('int8')),
+    { param: '127' },
+    { param: 127 }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.integer).withFormat('int8')),
+    { param: '10000' },
+    { param: '10000' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.integer).withFormat('int16')),
+    { param: '-32769' },
+    { param: '-32769' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.integer).withFormat('int32')),
+    { param: '2147483647' },
+    { param: 2147483647 }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.integer).withFormat('int32')),
+    { param: '2147483648' },
+    { param: '2147483648' }
+  ],
+  /**
+   * Long sanitization.
+   */
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.long).withFormat('int64')),
+    { param: '9007199254740993' },
+    { param: BigInt('9007199254740993') }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.long).withFormat('long')),
+    { param: -12 },
+    { param: BigInt(-12) }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.long).withFormat('int64')),
+    { param: '9223372036854775808' },
+    { param: '9223372036854775808' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.long).withFormat('int64')),
+    { param: '12.5' },
+    { param: '12.5' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.long).withFormat('int64')),
+    { param: '' },
+    { param: '' }
+  ],
+  /**
+   * Float and double sanitization.
+   */
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.float).withFormat('float')),
+    { param: '1.5' },
+    { param: 1.5 }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.float).withFormat('float')),
+    { param: '1e39' },
+    { param: '1e39' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withDataType(TYPES.double).withFormat('double')),
+    { param: '1e39' },
+    { param: 1e39 }
+  ],
   /**
    * Date sanitization.
    */
@@ -171,11 +255,69 @@ const TESTS = [
     { param: ['2015-05-23'] },
     { param: new Date('2015-05-23') }
   ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.date)),
+    { param: '2015-02-29' },
+    { param: '2015-02-29' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.date)),
+    { param: 'Mon, 23 Jun 2014 01:19:34 GMT' },
+    { param: 'Mon, 23 Jun 2014 01:19:34 GMT' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.time)),
+    { param: '12:30:05' },
+    { param: '12:30:05' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.time)),
+    { param: '12:30:05.5' },
+    { param: '12:30:05.500' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.time)),
+    { param: '24:00:00' },
+    { param: '24:00:00' }
+  ],
   [
     asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTime)),
     { param: undefined },
     { param: undefined }
   ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTime)),
+    { param: '2016-02-28T18:41:41+02:00' },
+    { param: new Date('2016-02-28T16:41:41.000Z') }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTime)),
+    { param: '2016-02-28' },
+    { param: '2016-02-28' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTime)),
+    { param: 'Mon, 28 Feb 2016 16:41:41 GMT' },
+    { param: 'Mon, 28 Feb 2016 16:41:41 GMT' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTime)
+      .withFormat('rfc2616')),
+    { param: '2016-02-28T16:41:41.090Z' },
+    { param: '2016-02-28T16:41:41.090Z' }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTime)
+      .withFormat('rfc2616')),
+    { param: 'Sun, 28 Feb 2016 16:41:41 GMT' },
+    { param: new Date('Sun, 28 Feb 2016 16:41:41 GMT') }
+  ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTime)
+      .withFormat('rfc3339')),
+    { param: 'Sun, 28 Feb 2016 16:41:41 GMT' },
+    { param: 'Sun, 28 Feb 2016 16:41:41 GMT' }
+  ],
   [
     asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTime)),
     { param: 'Sun, 28 Feb 2016 16:41:41 GMT' },
@@ -216,6 +358,11 @@ const TESTS = [
     { param: 'abc' },
     { param: 'abc' }
   ],
+  [
+    asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTimeOnly)),
+    { param: '2015-07-04T21:00:00Z' },
+    { param: '2015-07-04T21:00:00Z' }
+  ],
   [
     asParam(new domain.ScalarShape().withName('param').withDataType(TYPES.dateTimeOnly)),
     { param: ['2015-07-04T21:00:00'] },
@@ -557,7 +704,7 @@ const TESTS = [
                   new domain.PropertyShape()
                     .withName('createdAt')
                     .withRange(
-                      new domain.ScalarShape().withName('createdAt').withDataType(TYPES.date)
+                      new domain.ScalarShape().withName('createdAt').withDataType(TYPES.dateTime)
                     )
                 ])
               ),
@@ -610,7 +757,7 @@ const TESTS = [
       new domain.PropertyShape()
         .withName('birthday')
         .withRange(
-          new domain.ScalarShape().withName('birthday').withDataType(TYPES.date)
+          new domain.ScalarShape().withName('birthday').withDataType(TYPES.dateTime)
         ),
       new domain.PropertyShape()
         .withName('luckyNumber')
@@ -668,4 +815,2571 @@ describe('raml-sanitize', function () {
       expect(sanitize(param)(object)).to.deep.equal(output)
     })
   })
+
+  describe('facet rules', function () {
+    function scalar (dataType) {
+      return new domain.ScalarShape().withName('param').withDataType(dataType)
+    }
+
+    function withRules (rules) {
+      const instance = require('./')()
+      Object.assign(instance.RULES, rules)
+      return instance
+    }
+
+    it('should not apply facets by default', function () {
+      const param = asParam(scalar(TYPES.integer).withMaximum(10))
+      expect(sanitize(param)({ param: '20' })).to.deep.equal({ param: 20 })
+    })
+
+    it('should normalize enum values to the canonical spelling', function () {
+      const instance = withRules({ enum: sanitize.facetRules().enum })
+      const param = asParam(scalar(TYPES.string).withValues([
+        new domain.ScalarNode('Red', TYPES.string),
+        new domain.ScalarNode('Blue', TYPES.string)
+      ]))
+
+      expect(instance(param)({ param: 'red' })).to.deep.equal({ param: 'Red' })
+      expect(instance(param)({ param: 'BLUE' })).to.deep.equal({ param: 'Blue' })
+      expect(instance(param)({ param: 'green' })).to.deep.equal({ param: 'green' })
+    })
+
+    it('should keep numbers matching an enum', function () {
+      const instance = withRules({ enum: sanitize.facetRules().enum })
+      const param = asParam(scalar(TYPES.integer).withValues([
+        new domain.ScalarNode('1', TYPES.integer)
+      ]))
+
+      expect(instance(param)({ param: '1' })).to.deep.equal({ param: 1 })
+    })
+
+    it('should clamp numbers to minimum and maximum', function () {
+      const rules = sanitize.facetRules()
+      const instance = withRules({ minimum: rules.minimum, maximum: rules.maximum })
+      const param = asParam(scalar(TYPES.number).withMinimum(1).withMaximum(10))
+
+      expect(instance(param)({ param: '0' })).to.deep.equal({ param: 1 })
+      expect(instance(param)({ param: '5' })).to.deep.equal({ param: 5 })
+      expect(instance(param)({ param: '11.5' })).to.deep.equal({ param: 10 })
+      expect(instance(param)({ param: 'abc' })).to.deep.equal({ param: 'abc' })
+    })
+
+    it('should round numbers to multipleOf', function () {
+      const instance = withRules({ multipleOf: sanitize.facetRules().multipleOf })
+
+      expect(instance(asParam(scalar(TYPES.number).withMultipleOf(0.1)))({ param: '0.32' }))
+        .to.deep.equal({ param: 0.3 })
+      expect(instance(asParam(scalar(TYPES.integer).withMultipleOf(5)))({ param: '13' }))
+        .to.deep.equal({ param: 15 })
+    })
+
+    it('should truncate strings to maxLength', function () {
+      const instance = withRules({ maxLength: sanitize.facetRules().maxLength })
+      const param = asParam(scalar(TYPES.string).withMaxLength(3))
+
+      expect(instance(param)({ param: 'abcdef' })).to.deep.equal({ param: 'abc' })
+      expect(instance(param)({ param: 'ab' })).to.deep.equal({ param: 'ab' })
+    })
+
+    it('should pad and trim strings as configured', function () {
+      const rules = sanitize.facetRules({ trim: true, padding: '0', pad: 'start' })
+      const instance = withRules({ minLength: rules.minLength, maxLength: rules.maxLength })
+      const param = asParam(scalar(TYPES.string).withMinLength(4).withMaxLength(6))
+
+      expect(instance(param)({ param: ' 42 ' })).to.deep.equal({ param: '0042' })
+      expect(instance(param)({ param: '  1234567 ' })).to.deep.equal({ param: '123456' })
+    })
+
+    it('should pad strings at the end by default', function () {
+      const instance = withRules({ minLength: sanitize.facetRules().minLength })
+      const param = asParam(scalar(TYPES.string).withMinLength(3))
+
+      expect(instance(param)({ param: 'a' })).to.deep.equal({ param: 'a  ' })
+    })
+  })
+
+  describe('date types', function () {
+    function withDateTypes (options) {
+      const instance = require('./')()
+      Object.assign(instance.TYPES, instance.dateTypes(options))
+      return instance
+    }
+
+    function param (dataType) {
+      return asParam(new domain.ScalarShape().withDataType(dataType))
+    }
+
+    it('should output iso strings', function () {
+      const instance = withDateTypes({ output: 'iso' })
+
+      expect(instance(param(TYPES.date))({ param: '2015-05-23' }))
+        .to.deep.equal({ param: '2015-05-23' })
+      expect(instance(param(TYPES.dateTime))({ param: '2016-02-28T18:41:41+02:00' }))
+        .to.deep.equal({ param: '2016-02-28T16:41:41.000Z' })
+    })
+
+    it('should output epoch milliseconds', function () {
+      const instance = withDateTypes({ output: 'epoch' })
+
+      expect(instance(param(TYPES.date))({ param: '1970-01-02' }))
+        .to.deep.equal({ param: 86400000 })
+      expect(instance(param(TYPES.time))({ param: '00:01:00.5' }))
+        .to.deep.equal({ param: 60500 })
+    })
+
+    it('should output objects', function () {
+      const instance = withDateTypes({ output: 'object' })
+
+      expect(instance(param(TYPES.date))({ param: '2015-05-23' }))
+        .to.deep.equal({ param: { year: 2015, month: 5, day: 23 } })
+      expect(instance(param(TYPES.dateTimeOnly))({ param: '2015-07-04T21:00:00' }))
+        .to.deep.equal({
+          param: {
+            year: 2015,
+            month: 7,
+            day: 4,
+            hour: 21,
+            minute: 0,
+            second: 0,
+            millisecond: 0
+          }
+        })
+    })
+
+    it('should interpret datetime-only in the timezone', function () {
+      expect(withDateTypes({ timezone: 'UTC' })(param(TYPES.dateTimeOnly))({
+        param: '2015-07-04T21:00:00'
+      })).to.deep.equal({ param: new Date('2015-07-04T21:00:00Z') })
+      expect(withDateTypes({ timezone: '+02:00' })(param(TYPES.dateTimeOnly))({
+        param: '2015-07-04T21:00:00'
+      })).to.deep.equal({ param: new Date('2015-07-04T19:00:00Z') })
+    })
+
+    it('should reject unknown options', function () {
+      expect(() => sanitize.dateTypes({ output: 'moment' })).to.throw(TypeError)
+      expect(() => sanitize.dateTypes({ timezone: 'Europe/Paris' })).to.throw(TypeError)
+    })
+  })
+
+  describe('array formats', function () {
+    const tags = asParam(new domain.ArrayShape()
+      .withItems(new domain.ScalarShape().withDataType(TYPES.integer)))
+
+    function withFormat (format) {
+      const instance = require('./')()
+      instance.TYPES.array = instance.arrayType(format)
+      return instance
+    }
+
+    it('should split strings on the delimiter', function () {
+      expect(withFormat('csv')(tags)({ param: '1,2,3' })).to.deep.equal({ param: [1, 2, 3] })
+      expect(withFormat('ssv')(tags)({ param: '1 2' })).to.deep.equal({ param: [1, 2] })
+      expect(withFormat('tsv')(tags)({ param: '1\t2' })).to.deep.equal({ param: [1, 2] })
+      expect(withFormat('pipes')(tags)({ param: '1|2' })).to.deep.equal({ param: [1, 2] })
+    })
+
+    it('should split empty strings into empty arrays', function () {
+      expect(withFormat('csv')(tags)({ param: '' })).to.deep.equal({ param: [] })
+    })
+
+    it('should keep arrays of repeated keys', function () {
+      expect(withFormat('csv')(tags)({ param: ['1', '2'] })).to.deep.equal({ param: [1, 2] })
+      expect(withFormat('multi')(tags)({ param: ['1', '2'] })).to.deep.equal({ param: [1, 2] })
+    })
+
+    it('should wrap single values with multi', function () {
+      expect(withFormat('multi')(tags)({ param: '[1]' })).to.deep.equal({ param: ['[1]'] })
+      expect(withFormat('multi')(tags)({ param: '1' })).to.deep.equal({ param: [1] })
+    })
+
+    it('should use the array format of a parameter', function () {
+      const params = [
+        new domain.Parameter().withName('a').withSchema(new domain.ArrayShape()),
+        new domain.Parameter().withName('b').withSchema(new domain.ArrayShape())
+      ]
+      const query = sanitize(params, { arrayFormats: { b: 'pipes' } })
+
+      expect(query({ a: '["x","y"]', b: 'x|y' })).to.deep.equal({
+        a: ['x', 'y'],
+        b: ['x', 'y']
+      })
+    })
+
+    it('should reject unknown array formats', function () {
+      expect(() => sanitize.arrayType('commas')).to.throw(TypeError)
+      expect(() => sanitize(tags, { arrayFormats: { param: 'commas' } })).to.throw(TypeError)
+    })
+  })
+
+  describe('parameter styles', function () {
+    function styled (name, shape, style, explode) {
+      const param = new domain.Parameter()
+        .withName(name)
+        .withSchema(shape)
+        .withStyle(style)
+      return explode === undefined ? param : param.withExplode(explode)
+    }
+
+    function integers () {
+      return new domain.ArrayShape()
+        .withItems(new domain.ScalarShape().withDataType(TYPES.integer))
+    }
+
+    function person () {
+      return new domain.NodeShape().withProperties([
+        new domain.PropertyShape()
+          .withName('role')
+          .withRange(new domain.ScalarShape().withDataType(TYPES.string)),
+        new domain.PropertyShape()
+          .withName('age')
+          .withRange(new domain.ScalarShape().withDataType(TYPES.integer))
+      ])
+    }
+
+    it('should decode simple values', function () {
+      expect(sanitize(styled('id', integers(), 'simple'))({ id: '3,4,5' }))
+        .to.deep.equal({ id: [3, 4, 5] })
+      expect(sanitize(styled('id', person(), 'simple'))({ id: 'role,admin,age,5' }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+      expect(sanitize(styled('id', person(), 'simple', true))({ id: 'role=admin,age=5' }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+    })
+
+    it('should decode label values', function () {
+      const scalar = new domain.ScalarShape().withDataType(TYPES.integer)
+
+      expect(sanitize(styled('id', scalar, 'label'))({ id: '.5' }))
+        .to.deep.equal({ id: 5 })
+      expect(sanitize(styled('id', integers(), 'label'))({ id: '.3,4,5' }))
+        .to.deep.equal({ id: [3, 4, 5] })
+      expect(sanitize(styled('id', integers(), 'label', true))({ id: '.3.4.5' }))
+        .to.deep.equal({ id: [3, 4, 5] })
+      expect(sanitize(styled('id', person(), 'label', true))({ id: '.role=admin.age=5' }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+    })
+
+    it('should decode matrix values', function () {
+      const scalar = new domain.ScalarShape().withDataType(TYPES.integer)
+
+      expect(sanitize(styled('id', scalar, 'matrix'))({ id: ';id=5' }))
+        .to.deep.equal({ id: 5 })
+      expect(sanitize(styled('id', integers(), 'matrix'))({ id: ';id=3,4,5' }))
+        .to.deep.equal({ id: [3, 4, 5] })
+      expect(sanitize(styled('id', integers(), 'matrix', true))({ id: ';id=3;id=4;id=5' }))
+        .to.deep.equal({ id: [3, 4, 5] })
+      expect(sanitize(styled('id', person(), 'matrix'))({ id: ';id=role,admin,age,5' }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+      expect(sanitize(styled('id', person(), 'matrix', true))({ id: ';role=admin;age=5' }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+    })
+
+    it('should decode form values', function () {
+      expect(sanitize(styled('id', integers(), 'form'))({ id: '3' }))
+        .to.deep.equal({ id: [3] })
+      expect(sanitize(styled('id', integers(), 'form'))({ id: ['3', '4'] }))
+        .to.deep.equal({ id: [3, 4] })
+      expect(sanitize(styled('id', integers(), 'form', false))({ id: '3,4' }))
+        .to.deep.equal({ id: [3, 4] })
+      expect(sanitize(styled('id', person(), 'form', false))({ id: 'role,admin,age,5' }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+      expect(sanitize(styled('id', person(), 'form'))({ role: 'admin', age: '5', q: 'x' }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+    })
+
+    it('should not read other parameters into exploded form objects', function () {
+      const params = sanitize([
+        styled('filter', new domain.NodeShape(), 'form'),
+        styled('q', new domain.ScalarShape().withDataType(TYPES.string), 'form')
+      ])
+
+      expect(params({ q: 'x', role: 'admin' }))
+        .to.deep.equal({ q: 'x', filter: { role: 'admin' } })
+      expect(params({ q: 'x' })).to.deep.equal({ q: 'x' })
+    })
+
+    it('should decode delimited values', function () {
+      expect(sanitize(styled('id', integers(), 'spaceDelimited', false))({ id: '3 4 5' }))
+        .to.deep.equal({ id: [3, 4, 5] })
+      expect(sanitize(styled('id', integers(), 'pipeDelimited', false))({ id: '3|4' }))
+        .to.deep.equal({ id: [3, 4] })
+      expect(sanitize(styled('id', integers(), 'pipeDelimited', true))({ id: ['3', '4'] }))
+        .to.deep.equal({ id: [3, 4] })
+    })
+
+    it('should decode deep objects', function () {
+      const param = styled('id', person(), 'deepObject', true)
+
+      expect(sanitize(param)({ 'id[role]': 'admin', 'id[age]': '5', q: 'x' }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+      expect(sanitize(param)({ id: { role: 'admin', age: '5' } }))
+        .to.deep.equal({ id: { role: 'admin', age: 5 } })
+    })
+
+    it('should not percent-decode values again', function () {
+      const strings = new domain.ArrayShape()
+        .withItems(new domain.ScalarShape().withDataType(TYPES.string))
+      const string = new domain.ScalarShape().withDataType(TYPES.string)
+
+      expect(sanitize(styled('id', strings, 'form', false))({ id: 'a%2Fb,c' }))
+        .to.deep.equal({ id: ['a%2Fb', 'c'] })
+      expect(sanitize(styled('id', strings, 'form'))({ id: ['a%20b', 'c'] }))
+        .to.deep.equal({ id: ['a%20b', 'c'] })
+      expect(sanitize(styled('id', strings, 'pipeDelimited', false))({ id: 'a%7Cb|c' }))
+        .to.deep.equal({ id: ['a%7Cb', 'c'] })
+      expect(sanitize(styled('id', string, 'simple'))({ id: 'a%20b' }))
+        .to.deep.equal({ id: 'a%20b' })
+      expect(sanitize(styled('id', string, 'label'))({ id: '.a%20b' }))
+        .to.deep.equal({ id: 'a%20b' })
+      expect(sanitize(styled('id', string, 'matrix'))({ id: ';id=a%20b' }))
+        .to.deep.equal({ id: 'a%20b' })
+      expect(sanitize(styled('id', person(), 'deepObject', true))({ 'id[role]': 'a%20b' }))
+        .to.deep.equal({ id: { role: 'a%20b' } })
+    })
+  })
+
+  describe('object properties', function () {
+    function metadata (closed) {
+      return new domain.NodeShape().withClosed(closed).withProperties([
+        property('id', new domain.ScalarShape().withDataType(TYPES.integer)),
+        property('/^x-.*/', new domain.ScalarShape().withDataType(TYPES.integer))
+          .withPatternName('^x-.*'),
+        property('/^x-b/', new domain.ScalarShape().withDataType(TYPES.boolean))
+          .withPatternName('^x-b')
+      ])
+    }
+
+    it('should keep additional properties of open objects', function () {
+      const meta = sanitize([property('meta', metadata(false))])
+
+      expect(meta({ meta: { id: '1', 'x-a': '2', 'x-b': '3', note: 'abc' } }))
+        .to.deep.equal({ meta: { id: 1, 'x-a': 2, 'x-b': 3, note: 'abc' } })
+    })
+
+    it('should drop additional properties of closed objects', function () {
+      const meta = sanitize([property('meta', metadata(true))])
+
+      expect(meta({ meta: { id: '1', 'x-a': '2', note: 'abc' } }))
+        .to.deep.equal({ meta: { id: 1, 'x-a': 2 } })
+    })
+
+    it('should prefer declared properties over patterns', function () {
+      const meta = sanitize([property('meta', new domain.NodeShape().withProperties([
+        property('x-id', new domain.ScalarShape().withDataType(TYPES.string)),
+        property('//', new domain.ScalarShape().withDataType(TYPES.integer))
+          .withPatternName('^.*$')
+      ]))])
+
+      expect(meta({ meta: { 'x-id': 1, other: '2' } }))
+        .to.deep.equal({ meta: { 'x-id': '1', other: 2 } })
+    })
+
+    it('should sanitize pattern properties of parsed types', async function () {
+      const model = await wp.WebApiParser.raml10.parse(`#%RAML 1.0
+title: API
+types:
+  Metadata:
+    additionalProperties: false
+    properties:
+      /^x-.*/: integer
+`)
+      const meta = sanitize([property('meta', model.declares[0])])
+
+      expect(meta({ meta: { 'x-count': '5', note: 'abc' } }))
+        .to.deep.equal({ meta: { 'x-count': 5 } })
+    })
+
+    it('should keep dropping undeclared parameters', function () {
+      const params = sanitize([property('id', metadata(false))])
+
+      expect(params({ id: {}, other: 'abc' })).to.deep.equal({ id: {} })
+    })
+  })
+
+  describe('config', function () {
+    const elements = [
+      property('id', new domain.ScalarShape().withDataType(TYPES.integer)
+        .withMinimum(1)),
+      property('tags', new domain.ArrayShape().withItems(
+        new domain.ScalarShape().withDataType(TYPES.boolean))),
+      property('meta', new domain.NodeShape().withClosed(true).withProperties([
+        property('createdAt', new domain.ScalarShape().withDataType(TYPES.date)),
+        property('/^x-.*/', new domain.ScalarShape().withDataType(TYPES.number))
+          .withPatternName('^x-.*')
+      ])),
+      asParam(new domain.ScalarShape().withDataType(TYPES.integer))
+        .withName('ids')
+        .withStyle('form')
+        .withExplode(false)
+    ]
+
+    it('should extract serializable configs', function () {
+      const config = JSON.parse(JSON.stringify(sanitize.toConfig(elements)))
+
+      expect(config).to.deep.equal([
+        { name: 'id', required: false, type: 'integer', minimum: 1 },
+        {
+          name: 'tags',
+          required: false,
+          type: 'array',
+          items: { name: null, required: false, type: 'boolean' }
+        },
+        {
+          name: 'meta',
+          required: false,
+          type: 'object',
+          additionalProperties: false,
+          properties: [
+            { name: 'createdAt', required: false, type: 'dateOnly' },
+            {
+              name: '/^x-.*/',
+              required: false,
+              type: 'number',
+              patternName: '^x-.*'
+            }
+          ]
+        },
+        {
+          name: 'ids',
+          required: true,
+          type: 'integer',
+          style: 'form',
+          explode: false
+        }
+      ])
+    })
+
+    it('should sanitize like the elements of the config', function () {
+      const json = JSON.stringify(sanitize.toConfig(elements))
+      const input = {
+        id: '5',
+        tags: ['true', 'false'],
+        meta: { createdAt: '2020-01-31', 'x-score': '1.5', note: 'abc' },
+        ids: '7',
+        other: 'abc'
+      }
+
+      expect(sanitize.fromConfig(json)(input))
+        .to.deep.equal(sanitize(elements)(input))
+      expect(sanitize.fromConfig(JSON.parse(json))(input)).to.deep.equal({
+        id: 5,
+        tags: [true, false],
+        meta: { createdAt: new Date('2020-01-31T00:00:00Z'), 'x-score': 1.5 },
+        ids: 7
+      })
+    })
+
+    it('should support the options of sanitize', function () {
+      const config = [
+        { name: 'ids', type: 'array', items: { name: 'items', type: 'integer' } },
+        { name: 'X-Id', type: 'integer' }
+      ]
+      const sanitization = sanitize.fromConfig(config, {
+        report: true,
+        headers: true,
+        arrayFormats: { ids: 'csv' }
+      })
+
+      expect(sanitization({ ids: '1,a', 'x-id': '2' })).to.deep.equal({
+        value: { ids: [1, 'a'], 'X-Id': 2 },
+        errors: [{
+          path: ['ids', 1],
+          pointer: '/ids/1',
+          type: 'integer',
+          value: 'a',
+          message: 'toInteger: value is not a multiple of 1'
+        }],
+        coercions: [
+          { path: ['ids'], pointer: '/ids', type: 'array', value: '1,a', result: ['1', 'a'] },
+          { path: ['ids', 0], pointer: '/ids/0', type: 'integer', value: '1', result: 1 },
+          { path: ['X-Id'], pointer: '/X-Id', type: 'integer', value: '2', result: 2 }
+        ]
+      })
+    })
+  })
+
+  describe('declared types', function () {
+    const RAML = `#%RAML 1.0
+title: API
+types:
+  Id:
+    type: integer
+    minimum: 1
+  Base:
+    properties:
+      id: Id
+  User:
+    type: Base
+    additionalProperties: false
+    properties:
+      name: string
+      age:
+        type: Id
+        maximum: 150
+  Category:
+    properties:
+      id: Id
+      children?: Category[]
+      parent?: Category
+  Email:
+    type: string
+  WorkEmail:
+    type: Email
+    maxLength: 50
+/categories:
+  post:
+    body:
+      application/json: Category
+/users:
+  get:
+    queryParameters:
+      email: WorkEmail
+`
+
+    function declared (model, name) {
+      return model.declares.find(shape => shape.name.value() === name)
+    }
+
+    it('should merge inherited properties and facets', async function () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const config = sanitize.toConfig([property('user', declared(model, 'User'))])
+
+      expect(config[0].additionalProperties).to.equal(false)
+      expect(config[0].properties).to.deep.equal([
+        { name: 'id', required: true, type: 'integer', minimum: 1, declaredTypes: ['Id'] },
+        { name: 'name', required: true, type: 'string' },
+        {
+          name: 'age',
+          required: true,
+          type: 'integer',
+          minimum: 1,
+          maximum: 150,
+          declaredTypes: ['Id']
+        }
+      ])
+      expect(sanitize(property('user', declared(model, 'User')))({
+        user: { id: '1', name: 'abc', age: '20', other: 'abc' }
+      })).to.deep.equal({ user: { id: 1, name: 'abc', age: 20 } })
+    })
+
+    it('should reference recursive types', async function () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const elements = [property('category', declared(model, 'Category'))]
+      const config = sanitize.toConfig(elements)
+      const input = {
+        category: { id: '1', children: [], parent: { id: '2', parent: { id: '3' } } }
+      }
+      const output = {
+        category: { id: 1, children: [], parent: { id: 2, parent: { id: 3 } } }
+      }
+
+      expect(config[0].$id).to.equal('Category')
+      expect(config[0].properties[2]).to.deep.equal({
+        name: 'parent',
+        required: false,
+        type: 'object',
+        $ref: 'Category'
+      })
+      expect(sanitize(elements)(input)).to.deep.equal(output)
+      expect(sanitize.fromConfig(JSON.stringify(config))(input)).to.deep.equal(output)
+      expect(sanitize.compile(elements)(input)).to.deep.equal(output)
+    })
+
+    it('should run the sanitizers of declared types around the type', async function () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const instance = require('./')()
+      const calls = []
+      const elements = model.encodes.endPoints[1].operations[0].request.queryParameters
+
+      instance.TYPES.string = value => {
+        calls.push('string')
+        return String(value)
+      }
+      instance.DECLARED_TYPES.Email = {
+        before: value => {
+          calls.push('Email.before')
+          return String(value).trim()
+        },
+        after: value => {
+          calls.push('Email.after')
+          return value.toLowerCase()
+        }
+      }
+      instance.DECLARED_TYPES.WorkEmail = {
+        before: (value, key, object, config, context) => {
+          calls.push('WorkEmail.before')
+          expect(config.maxLength).to.equal(50)
+          expect(context.path).to.equal('/email')
+          return value
+        },
+        after: value => {
+          calls.push('WorkEmail.after')
+          return value.replace(/@corp\.example\.com$/, '@example.com')
+        }
+      }
+
+      expect(instance.toConfig(elements)[0].declaredTypes).to.deep.equal(['WorkEmail', 'Email'])
+      expect(instance(elements)({ email: ' Jo@Corp.Example.com ' }))
+        .to.deep.equal({ email: 'jo@example.com' })
+      expect(calls).to.deep.equal([
+        'WorkEmail.before',
+        'Email.before',
+        'string',
+        'Email.after',
+        'WorkEmail.after'
+      ])
+      expect(instance.compile(elements)({ email: ' Jo@Corp.Example.com ' }))
+        .to.deep.equal({ email: 'jo@example.com' })
+      expect(instance(elements)({ email: null })).to.deep.equal({ email: null })
+    })
+
+    it('should run the sanitizers of inherited types of resolved models', async function () {
+      const instance = require('./')()
+      const resolved = await wp.WebApiParser.raml10.resolve(
+        await wp.WebApiParser.raml10.parse(RAML))
+      const elements = () => resolved.encodes.endPoints[1].operations[0].request.queryParameters
+
+      instance.DECLARED_TYPES.Email = { after: value => value.toLowerCase() }
+
+      expect(instance.toConfig(elements())[0].declaredTypes).to.deep.equal(['WorkEmail'])
+      expect(instance.declareTypes(await wp.WebApiParser.raml10.parse(RAML)))
+        .to.deep.include({ Email: [], WorkEmail: ['Email'], User: ['Base'] })
+      expect(instance.toConfig(elements())[0].declaredTypes).to.deep.equal(['WorkEmail', 'Email'])
+      expect(instance(elements())({ email: 'A@B' })).to.deep.equal({ email: 'a@b' })
+      expect(instance.compile(elements())({ email: 'A@B' })).to.deep.equal({ email: 'a@b' })
+    })
+
+    it('should handle failing sanitizers of declared types like types', async function () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const instance = require('./')()
+      const elements = model.encodes.endPoints[1].operations[0].request.queryParameters
+
+      instance.DECLARED_TYPES.Email = {
+        after: async value => {
+          if (value.indexOf('@') === -1) {
+            throw new Error('Email: value is not an email')
+          }
+          return value.toLowerCase()
+        }
+      }
+
+      expect(await instance.async(elements)({ email: 'A@B.C' })).to.deep.equal({ email: 'a@b.c' })
+      expect((await instance.async(elements, { report: true })({ email: 'abc' })).errors)
+        .to.deep.equal([{
+          path: ['email'],
+          pointer: '/email',
+          type: 'string',
+          value: 'abc',
+          message: 'Email: value is not an email'
+        }])
+
+      instance.DECLARED_TYPES.Email = {}
+      expect(() => instance(elements)).to.throw(TypeError)
+    })
+
+    it('should sanitize recursive types of resolved models', async function () {
+      const model = await wp.WebApiParser.raml10.resolve(
+        await wp.WebApiParser.raml10.parse(RAML))
+      const operation = model.encodes.endPoints[0].operations[0]
+
+      expect(sanitize.operation(operation)({
+        body: { id: '1', parent: { id: '2', parent: { id: '3' } } }
+      }).body).to.deep.equal({ id: 1, parent: { id: 2, parent: { id: 3 } } })
+    })
+  })
+
+  describe('annotations', function () {
+    const RAML = `#%RAML 1.0
+title: API
+types:
+  Name:
+    type: string
+    (sanitize.trim):
+    (sanitize.collapseWhitespace):
+  Username:
+    type: Name
+    (sanitize.lowercase):
+    (sanitize.collapseWhitespace): false
+    maxLength: 5
+  Account:
+    properties:
+      username: Username
+      password:
+        type: string
+        (sanitize.redact):
+      token:
+        type: string
+        (sanitize.redact): "***"
+      slug:
+        type: string
+        (acme.slug): { separator: "-", max: 3, words: [a, b], strict: true }
+`
+
+    function account (model) {
+      return model.declares.find(shape => shape.name.value() === 'Account').properties
+    }
+
+    it('should extract the annotations of shapes', async function () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const config = sanitize.toConfig(account(model))
+
+      expect(config[0].annotations).to.deep.equal({
+        'sanitize.trim': true,
+        'sanitize.collapseWhitespace': false,
+        'sanitize.lowercase': true
+      })
+      expect(config[1].annotations).to.deep.equal({ 'sanitize.redact': true })
+      expect(config[2].annotations).to.deep.equal({ 'sanitize.redact': '***' })
+      expect(config[3].annotations).to.deep.equal({
+        'acme.slug': { separator: '-', max: 3, words: ['a', 'b'], strict: true }
+      })
+    })
+
+    it('should sanitize with the built-in directives', async function () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const instance = require('./')()
+      instance.RULES.maxLength = sanitize.facetRules().maxLength
+
+      const input = { username: '  Blake  Embrey ', password: 'secret', token: 'abc' }
+      const output = { username: 'blake', password: '[REDACTED]', token: '***' }
+
+      expect(instance(account(model))(input)).to.deep.equal(output)
+      expect(instance.compile(account(model))(input)).to.deep.equal(output)
+      expect(await instance.async(account(model))(input)).to.deep.equal(output)
+    })
+
+    it('should map custom annotations to rules', async function () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const instance = require('./')()
+
+      instance.ANNOTATIONS['acme.slug'] = 'slug'
+      instance.RULES.slug = function (options) {
+        return function (value) {
+          if (/[^\w ]/.test(value)) {
+            throw new Error('slug: value has special characters')
+          }
+          return value.split(' ').slice(0, options.max).join(options.separator)
+        }
+      }
+      const sanitization = instance(account(model), { report: true })
+
+      expect(sanitization({ slug: 'a b c d' }).value).to.deep.equal({ slug: 'a-b-c' })
+      expect(instance.compile(account(model))({ slug: 'a b c d' })).to.deep.equal({ slug: 'a-b-c' })
+      expect(sanitization({ slug: 'a?' }).errors).to.deep.equal([{
+        path: ['slug'],
+        pointer: '/slug',
+        type: 'string',
+        value: 'a?',
+        message: 'slug: value has special characters',
+        rule: '(acme.slug)'
+      }])
+    })
+
+    it('should declare the directives in a library', async function () {
+      const filename = path.join(os.tmpdir(), `raml-sanitize-${process.pid}.raml`)
+      const library = path.relative(os.tmpdir(), path.join(__dirname, 'annotations.raml'))
+
+      fs.writeFileSync(filename, [
+        '#%RAML 1.0',
+        'title: API',
+        'uses:',
+        `  sanitize: ${library.split(path.sep).join('/')}`,
+        'types:',
+        '  Name:',
+        '    type: string',
+        '    (sanitize.trim):',
+        '    (sanitize.collapseWhitespace):'
+      ].join('\n'))
+
+      try {
+        const model = await wp.WebApiParser.raml10.parse(url.pathToFileURL(filename).href)
+        const report = await wp.WebApiParser.raml10.validate(model)
+        const name = new domain.PropertyShape().withName('name')
+          .withRange(model.declares.find(shape => shape.name.value() === 'Name'))
+
+        expect(report.conforms).to.equal(true)
+        expect(sanitize(name)({ name: ' Blake   Embrey ' })).to.deep.equal({ name: 'Blake Embrey' })
+      } finally {
+        fs.unlinkSync(filename)
+      }
+    })
+
+    it('should match the directives of the library used with any name', async function () {
+      const filename = path.join(os.tmpdir(), `raml-sanitize-${process.pid}.raml`)
+      const library = path.relative(os.tmpdir(), path.join(__dirname, 'annotations.raml'))
+
+      fs.writeFileSync(filename, [
+        '#%RAML 1.0',
+        'title: API',
+        'uses:',
+        `  san: ${library.split(path.sep).join('/')}`,
+        'types:',
+        '  Name:',
+        '    type: string',
+        '    (san.trim):',
+        '    (san.lowercase): false'
+      ].join('\n'))
+
+      try {
+        const model = await wp.WebApiParser.raml10.parse(url.pathToFileURL(filename).href)
+        const name = new domain.PropertyShape().withName('name')
+          .withRange(model.declares.find(shape => shape.name.value() === 'Name'))
+
+        expect(sanitize.toConfig([name])[0].annotations).to.deep.equal({
+          'sanitize.trim': true,
+          'sanitize.lowercase': false
+        })
+        expect(sanitize(name)({ name: ' Blake ' })).to.deep.equal({ name: 'Blake' })
+        expect(sanitize.compile(name)({ name: ' Blake ' })).to.deep.equal({ name: 'Blake' })
+      } finally {
+        fs.unlinkSync(filename)
+      }
+    })
+
+    it('should redact nested objects and arrays as a whole', async function () {
+      const model = await wp.WebApiParser.raml10.parse(`#%RAML 1.0
+title: API
+types:
+  Payment:
+    properties:
+      card:
+        (sanitize.redact):
+        properties:
+          number: string
+          cvv: string
+      codes:
+        type: integer[]
+        (sanitize.redact): "***"
+`)
+      const properties = model.declares[0].properties
+      const input = {
+        card: { number: '4111111111111111', cvv: '123' },
+        codes: ['1', '2']
+      }
+      const output = { card: '[REDACTED]', codes: '***' }
+
+      expect(sanitize(properties)(input)).to.deep.equal(output)
+      expect(sanitize(properties)({ card: '{"number":"4111111111111111"}', codes: '1' }))
+        .to.deep.equal(output)
+      expect(sanitize.compile(properties)(input)).to.deep.equal(output)
+      expect(await sanitize.async(properties)(input)).to.deep.equal(output)
+      expect(sanitize(properties, { report: true })(input).coercions).to.deep.equal([])
+    })
+
+    it('should redact values failing the type', async function () {
+      const model = await wp.WebApiParser.raml10.parse(`#%RAML 1.0
+title: API
+types:
+  Login:
+    properties:
+      pin:
+        type: integer
+        (sanitize.redact):
+`)
+      const properties = model.declares[0].properties
+      const report = { value: { pin: '[REDACTED]' }, errors: [], coercions: [] }
+
+      expect(sanitize(properties, { report: true })({ pin: 'secret' })).to.deep.equal(report)
+      expect(sanitize(properties, { report: true })({ pin: '1234' })).to.deep.equal(report)
+      expect(await sanitize.async(properties, { report: true })({ pin: 'secret' })).to.deep.equal(report)
+      expect(sanitize.compile(properties)({ pin: 'secret' })).to.deep.equal(report.value)
+      expect(require('./')({ onError: 'throw' }).compile(properties)({ pin: 'secret' }))
+        .to.deep.equal(report.value)
+    })
+  })
+
+  describe('unions', function () {
+    const RAML = `#%RAML 1.0
+title: API
+types:
+  Pet:
+    discriminator: kind
+    properties:
+      kind: string
+      name: string
+  Cat:
+    type: Pet
+    discriminatorValue: cat
+    properties:
+      lives: integer
+  Dog:
+    type: Pet
+    properties:
+      good: boolean
+  Circle:
+    additionalProperties: false
+    properties:
+      radius: number
+  Square:
+    additionalProperties: false
+    properties:
+      side: number
+  Box:
+    properties:
+      pet?: Cat | Dog
+      pets?: (Cat | Dog)[]
+      shape?: Circle | Square | string
+      grid?: integer[][]
+      flags?: (integer | boolean)[]
+`
+
+    async function box () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      return model.declares.find(shape => shape.name.value() === 'Box').properties
+    }
+
+    it('should select object members by discriminator', async function () {
+      const params = sanitize(await box())
+
+      expect(params({ pet: { kind: 'Dog', name: 'Rex', good: 'true' } }))
+        .to.deep.equal({ pet: { kind: 'Dog', name: 'Rex', good: true } })
+      expect(params({ pet: { kind: 'cat', name: 'Tom', lives: '9' } }))
+        .to.deep.equal({ pet: { kind: 'cat', name: 'Tom', lives: 9 } })
+    })
+
+    it('should select object members by structure', async function () {
+      const params = sanitize(await box())
+
+      expect(params({ shape: { side: '2' } })).to.deep.equal({ shape: { side: 2 } })
+      expect(params({ shape: { radius: '1', other: 'abc' } }))
+        .to.deep.equal({ shape: { radius: 1 } })
+      expect(params({ shape: 'abc' })).to.deep.equal({ shape: 'abc' })
+    })
+
+    it('should sanitize arrays of unions and nested arrays', async function () {
+      const elements = await box()
+      const input = {
+        pets: [{ kind: 'cat', lives: '9' }, '{"kind":"Dog","good":"false"}'],
+        grid: '[[1, "2"], ["3"]]',
+        flags: ['1', 'true']
+      }
+      const output = {
+        pets: [{ kind: 'cat', lives: 9 }, { kind: 'Dog', good: false }],
+        grid: [[1, 2], [3]],
+        flags: [1, true]
+      }
+
+      expect(sanitize(elements)(input)).to.deep.equal(output)
+      expect(sanitize.compile(elements)(input)).to.deep.equal(output)
+    })
+  })
+
+  describe('nil', function () {
+    const RAML = `#%RAML 1.0
+title: API
+types:
+  Query:
+    properties:
+      a?: nil
+      b?: string?
+      c?: [string, nil]
+      d?: integer | nil
+`
+
+    async function query () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      return model.declares[0].properties
+    }
+
+    it('should sanitize null representations of nil types', async function () {
+      const elements = await query()
+      const params = sanitize(elements)
+
+      expect(sanitize.toConfig(elements).map(config => config.type))
+        .to.deep.equal(['nil', ['string', 'nil'], ['string', 'nil'], ['integer', 'nil']])
+      expect(params({ a: '', b: 'null', c: '', d: 'null' }))
+        .to.deep.equal({ a: null, b: null, c: null, d: null })
+      expect(params({ a: 'abc', b: 'abc', c: 1, d: '5' }))
+        .to.deep.equal({ a: 'abc', b: 'abc', c: '1', d: 5 })
+      expect(params({})).to.deep.equal({})
+    })
+
+    it('should configure the nil type per instance', async function () {
+      const elements = await query()
+      const instance = require('./')()
+      instance.TYPES.nil = instance.nilType({ values: ['NULL'], missing: true })
+
+      const input = { a: 'NULL', c: '' }
+      const output = { a: null, b: null, c: '', d: null }
+
+      expect(instance(elements)(input)).to.deep.equal(output)
+      expect(instance.compile(elements)(input)).to.deep.equal(output)
+      expect(sanitize(elements)(input)).to.deep.equal({ a: 'NULL', c: null })
+    })
+  })
+
+  describe('nested objects', function () {
+    function address () {
+      return new domain.NodeShape().withProperties([
+        property('zip', new domain.ScalarShape().withDataType(TYPES.integer)),
+        property('country', new domain.ScalarShape().withDataType(TYPES.string)
+          .withDefaultStr('NL')),
+        property('geo', new domain.NodeShape().withProperties([
+          property('lat', new domain.ScalarShape().withDataType(TYPES.number))
+        ]))
+      ])
+    }
+
+    it('should parse objects delivered as JSON strings', function () {
+      const params = sanitize([property('address', address())], { report: true })
+
+      expect(params({ address: '{"zip":"1234","geo":"{\\"lat\\":\\"1.5\\"}"}' }).value)
+        .to.deep.equal({ address: { zip: 1234, country: 'NL', geo: { lat: 1.5 } } })
+      expect(params({ address: '{zip' }).errors).to.have.lengthOf(1)
+      expect(params({ address: '{zip' }).value).to.deep.equal({ address: '{zip' })
+    })
+
+    it('should decode bracket and dot-notation keys', function () {
+      const elements = [property('address', address())]
+      const input = {
+        'address[zip]': '1234',
+        'address[geo][lat]': '1.5',
+        'address.country': 'BE',
+        'address[__proto__][polluted]': 'yes',
+        other: 'abc'
+      }
+      const output = {
+        address: { zip: 1234, country: 'BE', geo: { lat: 1.5 } },
+        other: 'abc'
+      }
+
+      expect(sanitize(elements, { additionalProperties: true })(input))
+        .to.deep.equal(Object.assign({ 'address[__proto__][polluted]': 'yes' }, output))
+      expect(sanitize.compile(elements, { additionalProperties: true })(input))
+        .to.deep.equal(Object.assign({ 'address[__proto__][polluted]': 'yes' }, output))
+      expect({}.polluted).to.equal(undefined)
+    })
+
+    it('should apply defaults to missing nested objects', function () {
+      const elements = [
+        property('optional', address()),
+        property('required', address()).withMinCount(1),
+        property('defaults', address().withDefaultStr('{"zip":"1000"}'))
+      ]
+      const output = {
+        optional: { country: 'NL', geo: {} },
+        required: { country: 'NL', geo: {} },
+        defaults: { zip: 1000, country: 'NL', geo: {} }
+      }
+
+      expect(sanitize(elements)({})).to.deep.equal(output)
+      expect(sanitize.compile(elements)({})).to.deep.equal(output)
+    })
+  })
+
+  describe('array items', function () {
+    const RAML = `#%RAML 1.0
+title: API
+types:
+  User:
+    additionalProperties: false
+    properties:
+      name: string
+      age: integer
+      role:
+        type: string
+        default: member
+      tags?: string[]
+  Category:
+    properties:
+      id: integer
+      children?: Category[]
+/users:
+  post:
+    body:
+      application/json: User[]
+`
+
+    async function parse () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const declared = name => model.declares.find(shape => shape.name.value() === name)
+      const arrayOf = (name, shape) => property(name, new domain.ArrayShape().withItems(shape))
+
+      return {
+        users: arrayOf('users', declared('User')),
+        categories: arrayOf('categories', declared('Category'))
+      }
+    }
+
+    it('should sanitize object items with their properties', async function () {
+      const { users } = await parse()
+      const input = {
+        users: [
+          { name: 'abc', age: '20', tags: 'admin', other: 'abc' },
+          '{"name":"def","age":"30","role":"owner"}'
+        ]
+      }
+      const output = {
+        users: [
+          { name: 'abc', age: 20, role: 'member', tags: ['admin'] },
+          { name: 'def', age: 30, role: 'owner' }
+        ]
+      }
+
+      expect(sanitize([users])(input)).to.deep.equal(output)
+      expect(sanitize.compile([users])(input)).to.deep.equal(output)
+      expect(sanitize([users], { report: true })({
+        users: [{ name: 'abc', age: 'abc' }]
+      }).errors.map(error => error.path)).to.deep.equal([['users', 0, 'age']])
+    })
+
+    it('should sanitize items of recursive types', async function () {
+      const { categories } = await parse()
+      const input = {
+        categories: [{ id: '1', children: [{ id: '2', children: [{ id: '3' }] }] }]
+      }
+      const output = {
+        categories: [{ id: 1, children: [{ id: 2, children: [{ id: 3 }] }] }]
+      }
+
+      expect(sanitize([categories])(input)).to.deep.equal(output)
+      expect(sanitize.compile([categories])(input)).to.deep.equal(output)
+    })
+
+    it('should sanitize array bodies', async function () {
+      const model = await wp.WebApiParser.raml10.resolve(
+        await wp.WebApiParser.raml10.parse(RAML))
+      const operation = model.encodes.endPoints[0].operations[0]
+
+      expect(sanitize.operation(operation)({
+        body: [{ name: 'abc', age: '20' }]
+      }).body).to.deep.equal([{ name: 'abc', age: 20, role: 'member' }])
+    })
+  })
+
+  describe('async', function () {
+    function delay (value, ms) {
+      return new Promise(resolve => setTimeout(() => resolve(value), ms || 1))
+    }
+
+    function withLookup () {
+      const instance = require('./')()
+      const ids = { alice: 1, bob: 2 }
+
+      instance.TYPES.string = value => delay(String(value))
+      instance.RULES.maxLength = function (max) {
+        return async function (value) {
+          const id = await delay(ids[value])
+          if (id === undefined) {
+            throw new Error('lookup: unknown user')
+          }
+          return id
+        }
+      }
+      return instance
+    }
+
+    const user = () => new domain.ScalarShape().withDataType(TYPES.string).withMaxLength(10)
+
+    it('should reject instead of throwing synchronously', async function () {
+      const instance = require('./')({ onError: 'throw' })
+      const elements = [
+        property('a', new domain.ScalarShape().withDataType(TYPES.integer)),
+        property('nested', new domain.NodeShape().withProperties([
+          property('b', new domain.ScalarShape().withDataType(TYPES.integer))
+        ]))
+      ]
+      const unhandled = []
+      const onUnhandled = reason => unhandled.push(reason)
+
+      process.on('unhandledRejection', onUnhandled)
+      try {
+        const result = instance.async(elements)({ a: 'bad', nested: '{not json' })
+
+        expect(result).to.be.an.instanceof(Promise)
+        const error = await result.then(() => null, error => error)
+        expect(error).to.be.an.instanceof(Error)
+        expect(error.path).to.be.oneOf(['/a', '/nested'])
+
+        await delay(null, 10)
+        expect(unhandled).to.deep.equal([])
+      } finally {
+        process.removeListener('unhandledRejection', onUnhandled)
+      }
+    })
+
+    it('should wait for async types and rules', async function () {
+      const instance = withLookup()
+      const elements = [
+        property('user', user()),
+        property('users', new domain.ArrayShape().withItems(user())),
+        property('owner', new domain.NodeShape().withProperties([property('user', user())])),
+        property('age', new domain.ScalarShape().withDataType(TYPES.integer))
+      ]
+
+      expect(await instance.async(elements)({
+        user: 'alice',
+        users: '["alice", "bob"]',
+        owner: '{"user":"bob"}',
+        age: '20'
+      })).to.deep.equal({ user: 1, users: [1, 2], owner: { user: 2 }, age: 20 })
+    })
+
+    it('should report async failures', async function () {
+      const instance = withLookup()
+      const result = await instance.async([property('user', user())], { report: true })({
+        user: 'carol'
+      })
+
+      expect(result.value).to.deep.equal({ user: 'carol' })
+      expect(result.errors).to.deep.equal([{
+        path: ['user'],
+        pointer: '/user',
+        type: 'string',
+        rule: 'maxLength',
+        value: 'carol',
+        message: 'lookup: unknown user'
+      }])
+    })
+
+    it('should apply the error policy', async function () {
+      const instance = require('./')({ onError: 'throw' })
+      instance.TYPES.integer = value => Promise.reject(new Error('toInteger: failed'))
+      const params = instance.async([property('age', new domain.ScalarShape()
+        .withDataType(TYPES.integer))])
+
+      let error
+      await params({ age: '20' }).catch(e => { error = e })
+      expect(error.message).to.equal('toInteger: failed')
+    })
+
+    it('should sanitize unions of objects', async function () {
+      const instance = withLookup()
+      const union = new domain.UnionShape().withAnyOf([
+        new domain.NodeShape().withProperties([property('user', user())]),
+        new domain.NodeShape().withProperties([
+          property('age', new domain.ScalarShape().withDataType(TYPES.integer))
+        ])
+      ])
+
+      expect(await instance.async([property('union', union)])({ union: { user: 'bob' } }))
+        .to.deep.equal({ union: { user: 2 } })
+    })
+
+    it('should limit the concurrency', async function () {
+      const instance = require('./')()
+      let running = 0
+      let max = 0
+
+      instance.TYPES.integer = async function (value) {
+        running++
+        max = Math.max(max, running)
+        await delay()
+        running--
+        return Number(value)
+      }
+
+      const elements = [property('ids', new domain.ArrayShape()
+        .withItems(new domain.ScalarShape().withDataType(TYPES.integer)))]
+
+      expect(await instance.async(elements, { concurrency: 2 })({ ids: '[1,2,3,4,5]' }))
+        .to.deep.equal({ ids: [1, 2, 3, 4, 5] })
+      expect(max).to.equal(2)
+      expect(() => instance.async(elements, { concurrency: 0 })).to.throw(TypeError)
+    })
+
+    it('should share the concurrency limit across nested levels', async function () {
+      const instance = require('./')()
+      let running = 0
+      let max = 0
+
+      instance.TYPES.integer = async function (value) {
+        running++
+        max = Math.max(max, running)
+        await delay()
+        running--
+        return Number(value)
+      }
+
+      const names = ['a', 'b', 'c', 'd', 'e']
+      const elements = [property('items', new domain.ArrayShape().withItems(
+        new domain.NodeShape().withProperties(names.map(name => {
+          return property(name, new domain.ScalarShape().withDataType(TYPES.integer))
+        }))))]
+      const item = { a: '1', b: '2', c: '3', d: '4', e: '5' }
+      const sanitization = instance.async(elements, { concurrency: 2 })
+
+      const values = await Promise.all([
+        sanitization({ items: [item, item, item] }),
+        sanitization({ items: [item] })
+      ])
+
+      expect(values[0].items).to.have.length(3)
+      expect(values[1].items[0]).to.deep.equal({ a: 1, b: 2, c: 3, d: 4, e: 5 })
+      expect(max).to.equal(2)
+    })
+
+    TESTS.forEach(([param, object, output], i) => {
+      it(`${i + 1}: should sanitize ${util.inspect(object)} asynchronously`, async function () {
+        expect(await sanitize.async(param)(object)).to.deep.equal(output)
+      })
+    })
+  })
+
+  describe('compile', function () {
+    const elements = [
+      property('id', new domain.ScalarShape().withDataType(TYPES.integer)),
+      property('limit', new domain.ScalarShape().withDataType(TYPES.integer)
+        .withDefaultStr('10')),
+      property('value', new domain.UnionShape().withAnyOf([
+        new domain.ScalarShape().withDataType(TYPES.number),
+        new domain.ScalarShape().withDataType(TYPES.boolean)
+      ])),
+      property('tags', new domain.ArrayShape().withItems(
+        new domain.ScalarShape().withDataType(TYPES.integer))),
+      property('meta', new domain.NodeShape().withProperties([
+        property('createdAt', new domain.ScalarShape().withDataType(TYPES.date)),
+        property('/^x-.*/', new domain.ScalarShape().withDataType(TYPES.number))
+          .withPatternName('^x-.*')
+      ]))
+    ]
+
+    const inputs = [
+      {},
+      { id: '1', value: 'true', tags: '[1, 2]', meta: { 'x-a': '1', b: 'c' } },
+      { id: 'a', limit: null, value: '1.5', tags: ['1', 'b'], other: 'abc' },
+      { id: 1, tags: 'abc', meta: { createdAt: '2020-01-31' } }
+    ]
+
+    TESTS.forEach(([param, object, output], i) => {
+      it(`${i + 1}: should compile ${util.inspect(object)}`, function () {
+        expect(sanitize.compile(param)(object)).to.deep.equal(output)
+      })
+    })
+
+    it('should sanitize like the closures', function () {
+      const closures = sanitize(elements, { arrayFormats: { tags: 'csv' } })
+      const compiled = sanitize.compile(elements, { arrayFormats: { tags: 'csv' } })
+
+      inputs.forEach(input => {
+        expect(compiled(input)).to.deep.equal(closures(input))
+      })
+    })
+
+    it('should apply rules and keep additional properties', function () {
+      const instance = require('./')()
+      instance.RULES.maximum = sanitize.facetRules().maximum
+      const limit = property('limit', new domain.ScalarShape()
+        .withDataType(TYPES.integer).withMaximum(10))
+      const compiled = instance.compile([limit], { additionalProperties: true })
+
+      expect(compiled({ limit: '20', other: 'abc' }))
+        .to.deep.equal({ limit: 10, other: 'abc' })
+    })
+
+    it('should generate a standalone module', function () {
+      const filename = path.join(os.tmpdir(), `raml-sanitize-${process.pid}.js`)
+      const source = sanitize.compile(elements, {
+        standalone: true,
+        runtime: require.resolve('./')
+      })
+
+      fs.writeFileSync(filename, source)
+      try {
+        const compiled = require(filename)
+        const closures = sanitize(elements)
+
+        inputs.forEach(input => {
+          expect(compiled(input)).to.deep.equal(closures(input))
+        })
+      } finally {
+        fs.unlinkSync(filename)
+      }
+    })
+
+    it('should reject standalone modules using replaced types', function () {
+      const instance = require('./')()
+      const flag = property('flag', new domain.ScalarShape().withDataType(TYPES.boolean))
+      const count = property('count', new domain.ScalarShape().withDataType(TYPES.integer))
+
+      instance.TYPES.boolean = instance.booleanType({ policy: 'strict' })
+
+      expect(instance.compile([flag])({ flag: 'maybe' })).to.deep.equal({ flag: 'maybe' })
+      expect(() => instance.compile([flag], { standalone: true }))
+        .to.throw(TypeError, 'Standalone modules need a runtime providing: boolean')
+      expect(instance.compile([flag], { standalone: true, runtime: './runtime' }))
+        .to.be.a('string')
+      expect(instance.compile([count], { standalone: true })).to.be.a('string')
+
+      instance.TYPES.nil = instance.nilType({ missing: true })
+      expect(() => instance.compile([count], { standalone: true }))
+        .to.throw(TypeError, 'Standalone modules need a runtime providing: nil')
+    })
+
+    it('should reject standalone modules missing from the runtime', async function () {
+      const model = await wp.WebApiParser.raml10.parse(`#%RAML 1.0
+title: API
+annotationTypes:
+  slug: nil
+types:
+  Page:
+    properties:
+      slug:
+        type: string
+        (slug):
+        maxLength: 5
+`)
+      const properties = model.declares.find(shape => shape.name.value() === 'Page').properties
+      const instance = require('./')()
+
+      instance.ANNOTATIONS.slug = function () {
+        return value => value.toLowerCase()
+      }
+      instance.RULES.maxLength = sanitize.facetRules().maxLength
+
+      expect(() => instance.compile(properties, { standalone: true }))
+        .to.throw(TypeError, 'Standalone modules need a runtime providing: maxLength, slug')
+      expect(instance.compile(properties, { standalone: true, runtime: './runtime' }))
+        .to.be.a('string')
+      expect(sanitize.compile(properties, { standalone: true })).to.be.a('string')
+    })
+
+    it('should reject unsupported options', function () {
+      const styled = asParam(new domain.ScalarShape().withDataType(TYPES.integer))
+        .withStyle('form')
+
+      expect(() => sanitize.compile([styled])).to.throw(TypeError)
+      expect(() => sanitize.compile(elements, { report: true })).to.throw(TypeError)
+      expect(() => sanitize.compile(elements, { arrayFormats: { tags: 'xml' } }))
+        .to.throw(TypeError, 'Unknown array format: xml')
+    })
+  })
+
+  describe('serialize', function () {
+    function param (name, shape) {
+      return new domain.Parameter().withName(name).withSchema(shape)
+    }
+
+    function scalar (dataType) {
+      return new domain.ScalarShape().withDataType(dataType)
+    }
+
+    function integers () {
+      return new domain.ArrayShape().withItems(scalar(TYPES.integer))
+    }
+
+    function person () {
+      return new domain.NodeShape().withProperties([
+        property('role', scalar(TYPES.string)),
+        property('born', scalar(TYPES.date))
+      ])
+    }
+
+    function roundTrip (elements, values, options) {
+      const serialized = sanitize.serialize(elements, options)(values)
+      expect(sanitize(elements, options)(serialized)).to.deep.equal(values)
+      return serialized
+    }
+
+    it('should serialize scalars into strings', function () {
+      const elements = [
+        param('count', scalar(TYPES.integer)),
+        param('ratio', scalar(TYPES.number)),
+        param('active', scalar(TYPES.boolean)),
+        param('name', scalar(TYPES.string))
+      ]
+
+      expect(roundTrip(elements, { count: 5, ratio: 1.5, active: false, name: 'abc' }))
+        .to.deep.equal({ count: '5', ratio: '1.5', active: 'false', name: 'abc' })
+    })
+
+    it('should format dates', function () {
+      const date = new Date('2016-02-28T16:41:41.000Z')
+      const elements = [
+        param('a', scalar(TYPES.dateTime)),
+        param('b', scalar(TYPES.dateTime).withFormat('rfc2616')),
+        param('c', scalar(TYPES.date)),
+        param('d', scalar(TYPES.time))
+      ]
+
+      expect(roundTrip(elements, {
+        a: date,
+        b: date,
+        c: new Date('2016-02-28T00:00:00.000Z'),
+        d: '18:41:41'
+      })).to.deep.equal({
+        a: '2016-02-28T16:41:41.000Z',
+        b: 'Sun, 28 Feb 2016 16:41:41 GMT',
+        c: '2016-02-28',
+        d: '18:41:41'
+      })
+    })
+
+    it('should round trip dates with every date output', function () {
+      const elements = [
+        param('a', scalar(TYPES.dateTime)),
+        param('b', scalar(TYPES.dateTime).withFormat('rfc2616')),
+        param('c', scalar(TYPES.date)),
+        param('d', scalar(TYPES.time)),
+        param('e', scalar(TYPES.dateTimeOnly))
+      ]
+      const input = {
+        a: '2020-03-01T10:00:00+02:00',
+        b: 'Sun, 01 Mar 2020 10:00:00 GMT',
+        c: '2020-03-01',
+        d: '10:00:00.500',
+        e: '2020-03-08T12:30:00'
+      }
+
+      for (const dateOutput of ['date', 'iso', 'epoch', 'object']) {
+        const instance = require('./')({ dateOutput })
+        const values = instance(elements)(input)
+        const serialized = instance.serialize(elements)(values)
+        const report = instance(elements, { report: true })(serialized)
+
+        expect(report.errors).to.deep.equal([])
+        expect(report.value).to.deep.equal(values)
+        expect(serialized.b).to.equal(input.b)
+        expect(serialized.e).to.equal(input.e)
+      }
+    })
+
+    it('should format datetime-only in the timezone', function () {
+      const serializers = sanitize.dateSerializers({ timezone: '+02:00' })
+
+      expect(serializers.dateTimeOnly(new Date('2015-07-04T19:00:00Z')))
+        .to.equal('2015-07-04T21:00:00')
+      expect(serializers.timeOnly(60500)).to.equal('00:01:00.500')
+      expect(() => sanitize.dateSerializers({ timezone: 'Europe/Paris' })).to.throw(TypeError)
+    })
+
+    it('should serialize arrays with their array format', function () {
+      const elements = [param('a', integers()), param('b', integers()), param('c', integers())]
+      const options = { arrayFormats: { b: 'csv', c: 'multi' } }
+
+      expect(roundTrip(elements, { a: [1, 2], b: [3, 4], c: [5, 6] }, options))
+        .to.deep.equal({ a: '[1,2]', b: '3,4', c: ['5', '6'] })
+    })
+
+    it('should encode parameter styles', function () {
+      const matrix = param('id', integers()).withStyle('matrix').withExplode(true)
+      const form = param('id', person()).withStyle('form')
+      const deep = param('id', person()).withStyle('deepObject').withExplode(true)
+      const value = { role: 'a/b', born: new Date('2000-01-31T00:00:00.000Z') }
+
+      expect(roundTrip([matrix], { id: [3, 4] })).to.deep.equal({ id: ';id=3;id=4' })
+      expect(roundTrip([form], { id: value }))
+        .to.deep.equal({ role: 'a/b', born: '2000-01-31' })
+      expect(roundTrip([deep], { id: value }))
+        .to.deep.equal({ 'id[role]': 'a/b', 'id[born]': '2000-01-31' })
+      expect(roundTrip([param('id', person()).withStyle('form').withExplode(false)], { id: value }))
+        .to.deep.equal({ id: 'role,a/b,born,2000-01-31' })
+    })
+
+    it('should encode nested objects as JSON', function () {
+      const elements = [param('person', person()), param('people', new domain.ArrayShape()
+        .withItems(person()))]
+      const value = { role: 'admin', born: new Date('2000-01-31T00:00:00.000Z') }
+
+      expect(roundTrip(elements, { person: value, people: [value] })).to.deep.equal({
+        person: '{"role":"admin","born":"2000-01-31"}',
+        people: '[{"role":"admin","born":"2000-01-31"}]'
+      })
+    })
+
+    it('should keep empty values and drop undeclared keys', function () {
+      const serialize = sanitize.serialize([param('a', scalar(TYPES.integer))])
+
+      expect(serialize({ a: null, b: 'x' })).to.deep.equal({ a: null })
+      expect(sanitize.serialize([], { additionalProperties: true })({ b: 'x' }))
+        .to.deep.equal({ b: 'x' })
+    })
+  })
+
+  describe('headers', function () {
+    function header (name, dataType) {
+      return new domain.Parameter()
+        .withName(name)
+        .withSchema(new domain.ScalarShape().withDataType(dataType))
+    }
+
+    it('should look up headers case-insensitively', function () {
+      const headers = sanitize([
+        header('X-Request-Id', TYPES.string),
+        header('X-Count', TYPES.integer)
+      ], { headers: true })
+
+      expect(headers({ 'x-request-id': 'abc', 'X-COUNT': '5', host: 'x' }))
+        .to.deep.equal({ 'X-Request-Id': 'abc', 'X-Count': 5 })
+    })
+
+    it('should sanitize headers matching wildcards', function () {
+      const headers = sanitize([
+        header('X-Custom-{*}', TYPES.integer),
+        header('X-Custom-Name', TYPES.string)
+      ], { headers: true })
+
+      expect(headers({ 'x-custom-a': '1', 'x-custom-b': '2', 'x-custom-name': '3', host: 'x' }))
+        .to.deep.equal({ 'X-Custom-a': 1, 'X-Custom-b': 2, 'X-Custom-Name': '3' })
+    })
+
+    it('should keep exact lookups without header mode', function () {
+      const headers = sanitize([header('X-Count', TYPES.integer)])
+
+      expect(headers({ 'x-count': '5' })).to.deep.equal({})
+    })
+  })
+
+  describe('operation', function () {
+    let endPoint
+
+    before(async function () {
+      const model = await wp.WebApiParser.raml10.parse(`#%RAML 1.0
+title: API
+/users/{userId}:
+  uriParameters:
+    userId: integer
+  /posts:
+    get:
+      queryString:
+        properties:
+          limit: integer
+    post:
+      queryParameters:
+        draft: boolean
+      headers:
+        X-Count: integer
+      body:
+        application/json:
+          properties:
+            title: string
+            rating: number
+        text/plain: integer
+`)
+      endPoint = model.encodes.endPoints[1]
+    })
+
+    it('should sanitize every part of the request', function () {
+      const post = sanitize.operation(endPoint.operations[1], { endPoint })
+
+      expect(post({
+        query: { draft: 'false', extra: 'x' },
+        headers: { 'X-Count': '5' },
+        path: { userId: '12' },
+        body: { title: 'Hello', rating: '4.5', extra: 'x' },
+        contentType: 'application/json; charset=utf-8'
+      })).to.deep.equal({
+        query: { draft: false },
+        headers: { 'X-Count': 5 },
+        path: { userId: 12 },
+        cookies: {},
+        body: { title: 'Hello', rating: 4.5 }
+      })
+    })
+
+    it('should select the body by content type', function () {
+      const post = sanitize.request(endPoint.operations[1].request)
+
+      expect(post({
+        headers: { 'content-type': 'text/plain', 'x-count': '1' },
+        body: '42'
+      })).to.include({ body: 42 }).and.deep.include({ headers: { 'X-Count': 1 } })
+    })
+
+    it('should fail bodies matching no payload', function () {
+      const request = endPoint.operations[1].request
+      const post = sanitize.request(request)
+      const report = sanitize.request(request, { report: true })
+      const strict = require('./')({ onError: 'throw' }).request(request)
+
+      expect(post({ contentType: 'application/xml', body: '42' }).body)
+        .to.equal(null)
+      expect(post({ body: { title: 'Hello', admin: true } }).body)
+        .to.equal(null)
+      expect(post({ contentType: 'application/xml' }).body)
+        .to.equal(undefined)
+      expect(report({ contentType: 'application/xml', body: '42' }).errors)
+        .to.deep.equal([{
+          path: ['body'],
+          pointer: '/body',
+          type: undefined,
+          value: '42',
+          message: 'request: no payload for the content type "application/xml"'
+        }])
+      expect(() => strict({ contentType: 'application/xml', body: '42' }))
+        .to.throw('request: no payload for the content type "application/xml"')
+        .with.property('path', '/body')
+    })
+
+    it('should sanitize the query string type', function () {
+      const get = sanitize.operation(endPoint.operations[0])
+
+      expect(get({ query: { limit: '10' } })).to.deep.equal({
+        query: { limit: 10 },
+        headers: {},
+        path: {},
+        cookies: {},
+        body: undefined
+      })
+    })
+
+    it('should report errors of every part', function () {
+      const post = sanitize.operation(endPoint.operations[1], {
+        endPoint,
+        report: true
+      })
+      const result = post({
+        path: { userId: 'abc' },
+        body: { rating: 'abc' },
+        contentType: 'application/json'
+      })
+
+      expect(result.errors.map(error => error.path)).to.deep.equal([
+        ['path', 'userId'],
+        ['body', 'rating']
+      ])
+    })
+
+    it('should sanitize operations without a request', function () {
+      const operation = new domain.Operation().withMethod('get')
+
+      expect(sanitize.operation(operation)({ query: { a: 'b' } })).to.deep.equal({
+        query: {},
+        headers: {},
+        path: {},
+        cookies: {},
+        body: undefined
+      })
+    })
+  })
+
+  describe('middleware', function () {
+    const RAML = `#%RAML 1.0
+title: API
+traits:
+  paged:
+    queryParameters:
+      limit: integer
+/users:
+  /{userId}:
+    uriParameters:
+      userId: integer
+    get:
+      is: [paged]
+      headers:
+        X-Count: integer
+    put:
+      body:
+        application/json:
+          properties:
+            age: integer
+  /me:
+    get:
+      queryParameters:
+        verbose: boolean
+`
+    let filename
+
+    before(function () {
+      filename = path.join(os.tmpdir(), `raml-sanitize-${process.pid}.raml`)
+      fs.writeFileSync(filename, RAML)
+    })
+
+    after(function () {
+      fs.unlinkSync(filename)
+    })
+
+    /**
+     * Start a local server with the handler and make a single request.
+     */
+    function request (handler, options, body) {
+      const server = http.createServer(handler)
+
+      return new Promise((resolve, reject) => {
+        server.listen(0, '127.0.0.1', () => {
+          const req = http.request(Object.assign({
+            host: '127.0.0.1',
+            port: server.address().port
+          }, options), res => {
+            let data = ''
+            res.setEncoding('utf8')
+            res.on('data', chunk => { data += chunk })
+            res.on('end', () => resolve(JSON.parse(data)))
+          })
+          req.on('error', reject)
+          req.end(body)
+        })
+      }).finally(() => server.close())
+    }
+
+    /**
+     * Respond with the sanitized parts of the request.
+     */
+    function respond (req, res) {
+      res.end(JSON.stringify({
+        query: req.query,
+        params: req.params,
+        headers: req.headers,
+        body: req.body,
+        errors: req.sanitization && req.sanitization.errors
+      }))
+    }
+
+    it('should sanitize requests matching a resource', async function () {
+      const middleware = sanitize.middleware(filename)
+      const result = await request((req, res) => {
+        middleware(req, res, () => respond(req, res))
+      }, {
+        path: '/users/12?limit=10&other=x',
+        headers: { 'x-count': '5' }
+      })
+
+      expect(result.query).to.deep.equal({ limit: 10 })
+      expect(result.params).to.deep.equal({ userId: 12 })
+      expect(result.headers['x-count']).to.equal(5)
+      expect(result.headers.host).to.be.a('string')
+      expect(result.errors).to.deep.equal([])
+    })
+
+    it('should prefer literal resources and expose errors', async function () {
+      const model = await wp.WebApiParser.raml10.parse(RAML)
+      const middleware = sanitize.middleware(model, { basePath: '/v1/' })
+      const result = await request((req, res) => {
+        middleware(req, res, () => respond(req, res))
+      }, { path: '/v1/users/me?verbose=false' })
+
+      expect(result.query).to.deep.equal({ verbose: false })
+      expect(result.params).to.deep.equal({})
+      expect(result.errors).to.deep.equal([])
+
+      const invalid = await request((req, res) => {
+        middleware(req, res, () => respond(req, res))
+      }, { path: '/v1/users/abc' })
+
+      expect(invalid.params).to.deep.equal({ userId: 'abc' })
+      expect(invalid.errors.map(error => error.path)).to.deep.equal([
+        ['path', 'userId']
+      ])
+    })
+
+    it('should sanitize parsed bodies', async function () {
+      const middleware = sanitize.middleware(filename)
+      const result = await request((req, res) => {
+        req.body = { age: '30' }
+        middleware(req, res, () => respond(req, res))
+      }, {
+        method: 'PUT',
+        path: '/users/abc',
+        headers: { 'content-type': 'application/json' }
+      }, '{}')
+
+      expect(result.body).to.deep.equal({ age: 30 })
+      expect(result.errors).to.deep.equal([{
+        path: ['path', 'userId'],
+        pointer: '/path/userId',
+        type: 'integer',
+        value: 'abc',
+        message: 'toInteger: value is not a multiple of 1'
+      }])
+    })
+
+    it('should not keep bodies matching no payload', async function () {
+      const middleware = sanitize.middleware(filename)
+      const result = await request((req, res) => {
+        req.body = { age: '30', admin: true }
+        middleware(req, res, () => respond(req, res))
+      }, {
+        method: 'PUT',
+        path: '/users/12',
+        headers: { 'content-type': 'text/plain' }
+      }, 'age=30')
+
+      expect(result.body).to.equal(null)
+      expect(result.errors).to.deep.equal([{
+        path: ['body'],
+        pointer: '/body',
+        value: { age: '30', admin: true },
+        message: 'request: no payload for the content type "text/plain"'
+      }])
+    })
+
+    it('should skip requests not matching an operation', async function () {
+      const middleware = sanitize.middleware(filename)
+      const result = await request((req, res) => {
+        middleware(req, res, () => respond(req, res))
+      }, { method: 'DELETE', path: '/users/12?limit=10' })
+
+      expect(result.query).to.equal(undefined)
+      expect(result.errors).to.equal(undefined)
+    })
+
+    it('should pass errors loading the model', async function () {
+      const middleware = sanitize.middleware(Promise.reject(new Error('boom')))
+      const result = await request((req, res) => {
+        middleware(req, res, err => res.end(JSON.stringify({ error: err.message })))
+      }, { path: '/users' })
+
+      expect(result).to.deep.equal({ error: 'boom' })
+    })
+
+    it('should pass errors reading the model file', async function () {
+      const missing = path.join(os.tmpdir(), `raml-sanitize-${process.pid}-missing.raml`)
+      const middleware = sanitize.middleware(missing)
+      const result = await request((req, res) => {
+        middleware(req, res, err => res.end(JSON.stringify({ error: err.message })))
+      }, { path: '/users' })
+
+      expect(result.error).to.match(/^Unable to load the API model ".+-missing\.raml": ENOENT/)
+    })
+
+    it('should pass errors replacing the request parts', async function () {
+      const middleware = sanitize.middleware(filename)
+      const result = await request((req, res) => {
+        Object.defineProperty(req, 'query', { value: {}, configurable: false })
+        middleware(req, res, err => res.end(JSON.stringify({ error: err && err.name })))
+      }, { path: '/users/12' })
+
+      expect(result).to.deep.equal({ error: 'TypeError' })
+    })
+
+    it('should decode styled parameters once', async function () {
+      const model = await wp.WebApiParser.raml10.parse(`#%RAML 1.0
+title: API
+/items/{ids}:
+  uriParameters:
+    ids: string[]
+  get:
+    queryParameters:
+      tags: string[]
+      name: string
+`)
+      const endPoint = model.encodes.endPoints[0]
+      const query = endPoint.operations[0].request.queryParameters
+
+      endPoint.parameters[0].withStyle('label')
+      query[0].withStyle('form').withExplode(false)
+      query[1].withStyle('form')
+
+      const middleware = sanitize.middleware(model)
+      const result = await request((req, res) => {
+        middleware(req, res, () => respond(req, res))
+      }, { path: '/items/.a%20b,c%2Cd?tags=a%20b,c%2Cd&name=a%2520b' })
+
+      expect(result.query).to.deep.equal({ tags: ['a b', 'c', 'd'], name: 'a%20b' })
+      expect(result.params).to.deep.equal({ ids: ['a b', 'c', 'd'] })
+    })
+
+    it('should sanitize koa contexts', async function () {
+      const middleware = sanitize.koa(filename)
+      const result = await request((req, res) => {
+        const ctx = {
+          req: req,
+          method: req.method,
+          url: req.url,
+          request: {},
+          state: {},
+          get query () {
+            const url = new URL(req.url, 'http://localhost')
+            return this.request.query || Object.fromEntries(url.searchParams)
+          },
+          get headers () {
+            return req.headers
+          }
+        }
+        middleware(ctx, () => {
+          res.end(JSON.stringify({
+            query: ctx.query,
+            params: ctx.params,
+            errors: ctx.state.sanitization.errors
+          }))
+        })
+      }, { path: '/users/12?limit=10' })
+
+      expect(result).to.deep.equal({
+        query: { limit: 10 },
+        params: { userId: 12 },
+        errors: []
+      })
+    })
+  })
+
+  describe('long type', function () {
+    it('should sanitize into lossless strings', function () {
+      const instance = require('./')()
+      instance.TYPES.long = instance.longType('string')
+      const param = asParam(new domain.ScalarShape()
+        .withDataType(TYPES.long)
+        .withFormat('int64'))
+
+      expect(instance(param)({ param: '+0009007199254740993' }))
+        .to.deep.equal({ param: '9007199254740993' })
+    })
+  })
+
+  describe('boolean policies', function () {
+    function withBooleans (options) {
+      const instance = require('./')()
+      instance.TYPES.boolean = instance.booleanType(options)
+      return instance
+    }
+
+    const flag = asParam(new domain.ScalarShape().withDataType(TYPES.boolean))
+    const flags = asParam(new domain.ArrayShape()
+      .withItems(new domain.ScalarShape().withDataType(TYPES.boolean)))
+    const union = asParam(new domain.UnionShape().withAnyOf([
+      new domain.ScalarShape().withDataType(TYPES.boolean),
+      new domain.ScalarShape().withDataType(TYPES.string)
+    ]))
+
+    it('should be permissive by default', function () {
+      expect(sanitize(flag)({ param: 'false' })).to.deep.equal({ param: false })
+      expect(sanitize(flag)({ param: 'no' })).to.deep.equal({ param: true })
+      expect(sanitize(flags)({ param: '[0, "abc"]' })).to.deep.equal({ param: [false, true] })
+    })
+
+    it('should only accept true, false, 1 and 0 when strict', function () {
+      const instance = withBooleans({ policy: 'strict' })
+      const params = instance(flag, { report: true })
+
+      expect(params({ param: 'TRUE' }).value).to.deep.equal({ param: true })
+      expect(params({ param: ' 0 ' }).value).to.deep.equal({ param: false })
+      expect(params({ param: 1 }).value).to.deep.equal({ param: true })
+      expect(params({ param: 'garbage' }).value).to.deep.equal({ param: 'garbage' })
+      expect(params({ param: 'garbage' }).errors[0].message)
+        .to.equal('toBoolean: value is not a boolean')
+    })
+
+    it('should apply the policy inside arrays and unions', function () {
+      const instance = withBooleans({ policy: 'strict' })
+
+      expect(instance(flags)({ param: '["true", "0"]' })).to.deep.equal({ param: [true, false] })
+      expect(instance(union)({ param: 'False' })).to.deep.equal({ param: false })
+      expect(instance(union)({ param: 'maybe' })).to.deep.equal({ param: 'maybe' })
+      expect(sanitize(union)({ param: 'maybe' })).to.deep.equal({ param: true })
+      expect(instance.compile(flags)({ param: '["1", "FALSE"]' })).to.deep.equal({ param: [true, false] })
+    })
+
+    it('should accept a vocabulary of truthy and falsy words', function () {
+      const strict = withBooleans({ policy: 'strict', truthy: ['yes', 'on'], falsy: ['no', 'off'] })
+      const permissive = withBooleans({ falsy: ['no', 'off'] })
+
+      expect(strict(flags)({ param: '["Yes", "off", "1"]' })).to.deep.equal({ param: [true, false, true] })
+      expect(permissive(flags)({ param: '["NO", "off", "abc"]' })).to.deep.equal({ param: [false, false, true] })
+    })
+
+    it('should reject unknown options', function () {
+      expect(() => sanitize.booleanType({ policy: 'lenient' })).to.throw(TypeError)
+      expect(() => sanitize.booleanType({ truthy: 'yes' })).to.throw(TypeError)
+    })
+  })
+
+  describe('instance options', function () {
+    const elements = [
+      property('name', new domain.ScalarShape().withDataType(TYPES.string)),
+      property('age', new domain.ScalarShape().withDataType(TYPES.integer)),
+      property('role', new domain.ScalarShape().withDataType(TYPES.string)
+        .withDefaultStr('member')),
+      property('tags', new domain.ArrayShape()
+        .withItems(new domain.ScalarShape().withDataType(TYPES.integer))),
+      property('id', new domain.UnionShape().withAnyOf([
+        new domain.ScalarShape().withDataType(TYPES.integer),
+        new domain.ScalarShape().withDataType(TYPES.date)
+      ]))
+    ]
+
+    function both (options, input) {
+      const instance = require('./')(options)
+      const value = instance(elements)(input)
+
+      expect(instance.compile(elements)(input)).to.deep.equal(value)
+      return value
+    }
+
+    it('should default to the current behaviour', function () {
+      expect(sanitize.options).to.deep.equal({
+        dropUnknown: true,
+        applyDefaults: true,
+        emptyStringAsNull: false,
+        trimStrings: false,
+        dateOutput: 'date',
+        onError: 'keep',
+        maxLength: 100000,
+        maxDepth: 32,
+        maxElements: 10000,
+        unsafeKeys: 'strip'
+      })
+      expect(both({}, { age: 'abc', other: 'x' })).to.deep.equal({ age: 'abc', role: 'member' })
+    })
+
+    it('should drop the unknown keys of nested objects', async function () {
+      const model = await wp.WebApiParser.raml10.parse(`#%RAML 1.0
+title: API
+types:
+  Address:
+    properties:
+      city: string
+  Open:
+    additionalProperties: true
+    properties:
+      city: string
+  User:
+    properties:
+      address: Address
+      open: Open
+      addresses: Address[]
+`)
+      const user = [property('user', model.declares.find(shape => shape.name.value() === 'User'))]
+      const input = {
+        user: {
+          address: { city: 'a', zip: '1' },
+          open: { city: 'b', zip: '2' },
+          addresses: [{ city: 'c', zip: '3' }],
+          other: 'x'
+        }
+      }
+
+      const output = {
+        user: {
+          address: { city: 'a' },
+          open: { city: 'b', zip: '2' },
+          addresses: [{ city: 'c' }]
+        }
+      }
+
+      expect(sanitize(user)(input)).to.deep.equal(output)
+      expect(sanitize.compile(user)(input)).to.deep.equal(output)
+      expect(await sanitize.async(user)(input)).to.deep.equal(output)
+
+      const keep = require('./')({ dropUnknown: false })
+      expect(keep(user)(input)).to.deep.equal({ user: input.user })
+      expect(keep.compile(user)(input)).to.deep.equal({ user: input.user })
+    })
+
+    it('should keep unknown keys', function () {
+      expect(both({ dropUnknown: false }, { other: 'x' }))
+        .to.deep.equal({ role: 'member', other: 'x' })
+      expect(require('./')({ dropUnknown: false })(elements, { additionalProperties: false })({ other: 'x' }))
+        .to.deep.equal({ role: 'member' })
+    })
+
+    it('should not apply defaults', function () {
+      expect(both({ applyDefaults: false }, { name: 'abc' })).to.deep.equal({ name: 'abc' })
+    })
+
+    it('should sanitize empty strings like missing values', function () {
+      expect(both({ emptyStringAsNull: true }, { name: '', role: '' }))
+        .to.deep.equal({ name: null, role: 'member' })
+    })
+
+    it('should trim strings', function () {
+      expect(both({ trimStrings: true }, { name: ' abc ', age: ' 5 ' }))
+        .to.deep.equal({ name: 'abc', age: 5, role: 'member' })
+      expect(both({ trimStrings: true, emptyStringAsNull: true }, { name: '  ' }))
+        .to.deep.equal({ name: null, role: 'member' })
+    })
+
+    it('should configure the output of dates', function () {
+      const instance = require('./')({ dateOutput: 'iso' })
+      const param = asParam(new domain.ScalarShape().withDataType(TYPES.dateTime))
+
+      expect(instance(param)({ param: '2016-02-28T18:41:41+02:00' }))
+        .to.deep.equal({ param: '2016-02-28T16:41:41.000Z' })
+    })
+
+    it('should sanitize failures into null', function () {
+      expect(both({ onError: 'null' }, { age: 'abc', tags: '[1, "abc"]', id: 'abc' }))
+        .to.deep.equal({ age: null, tags: null, id: null, role: 'member' })
+      expect(both({ onError: 'null' }, { tags: 'abc' }))
+        .to.deep.equal({ tags: null, role: 'member' })
+      expect(both({ onError: 'null' }, { tags: '1' }))
+        .to.deep.equal({ tags: [1], role: 'member' })
+    })
+
+    it('should throw failures', function () {
+      const instance = require('./')({ onError: 'throw' })
+
+      for (const sanitization of [instance(elements), instance.compile(elements)]) {
+        expect(() => sanitization({ age: 'abc' }))
+          .to.throw('toInteger: value is not a multiple of 1')
+        expect(() => sanitization({ id: 'abc' })).to.throw(Error, /toInteger/)
+        expect(sanitization({ age: '5', tags: '[1]' }))
+          .to.deep.equal({ age: 5, tags: [1], role: 'member' })
+      }
+    })
+
+    it('should reject unknown options', function () {
+      expect(() => require('./')({ onError: 'ignore' })).to.throw(TypeError)
+      expect(() => require('./')({ dateOutput: 'moment' })).to.throw(TypeError)
+    })
+  })
+
+  describe('limits', function () {
+    function param (name, shape) {
+      return new domain.Parameter().withName(name).withSchema(shape)
+    }
+
+    const object = param('param', new domain.NodeShape())
+    const array = param('param', new domain.ArrayShape())
+    const integers = param('param', new domain.ArrayShape()
+      .withItems(new domain.ScalarShape().withDataType(TYPES.integer)))
+
+    it('should strip keys changing prototypes', function () {
+      const value = sanitize(object)({
+        param: '{"__proto__":{"polluted":true},"a":{"constructor":{"prototype":1},"b":1}}'
+      }).param
+
+      expect(value).to.deep.equal({ a: { b: 1 } })
+      expect(Object.getPrototypeOf(value)).to.equal(Object.prototype)
+      expect(sanitize(array)({ param: '[{"__proto__":{"x":1}}]' })).to.deep.equal({ param: [{}] })
+      expect(sanitize(object)({ param: { constructor: 1, a: 1 } })).to.deep.equal({ param: { a: 1 } })
+      expect({}.polluted).to.equal(undefined)
+    })
+
+    it('should not keep undeclared keys changing prototypes', function () {
+      const input = JSON.parse('{"__proto__":{"polluted":true},"a":1}')
+      const params = [new domain.Parameter().withName('b').withSchema(new domain.ScalarShape()
+        .withDataType(TYPES.string))]
+
+      for (const sanitization of [
+        sanitize(params, { additionalProperties: true }),
+        sanitize.compile(params, { additionalProperties: true })
+      ]) {
+        const value = sanitization(input)
+
+        expect(value).to.deep.equal({ a: 1 })
+        expect(Object.getPrototypeOf(value)).to.equal(Object.prototype)
+      }
+    })
+
+    it('should ignore unsafe keys of parameter styles', function () {
+      const param = new domain.Parameter().withName('id').withSchema(new domain.NodeShape())
+        .withStyle('simple')
+
+      expect(Object.getPrototypeOf(sanitize(param)({ id: '__proto__,x,a,1' }).id))
+        .to.equal(Object.prototype)
+    })
+
+    it('should report values exceeding the limits', function () {
+      const instance = require('./')({ maxLength: 20, maxDepth: 2, maxElements: 3 })
+      const params = instance([param('object', new domain.NodeShape()), integers], { report: true })
+      const errors = input => params(input).errors.map(error => error.message)
+
+      expect(errors({ object: `{"a":"${'x'.repeat(20)}"}` }))
+        .to.deep.equal(['toObject: value is longer than 20 characters'])
+      expect(errors({ object: '{"a":{"b":{}}}' }))
+        .to.deep.equal(['toObject: value is nested deeper than 2'])
+      expect(errors({ param: '[1,2,3,4]' }))
+        .to.deep.equal(['toArray: value has more than 3 elements'])
+      expect(errors({ param: '[1,2]' })).to.deep.equal([])
+      expect(params({ param: '[1,2,3,4]' }).value).to.deep.equal({ param: null })
+      expect(instance.compile([integers])({ param: '[1,2,3,4]' })).to.deep.equal({ param: null })
+    })
+
+    it('should apply the limits to delimited arrays', function () {
+      const instance = require('./')({ maxElements: 2 })
+      instance.TYPES.array = instance.arrayType('csv')
+
+      expect(instance(integers, { report: true })({ param: '1,2,3' }).errors[0].message)
+        .to.equal('toArray: value has more than 2 elements')
+    })
+
+    it('should reject unsafe values with the error policy', function () {
+      const instance = require('./')({ unsafeKeys: 'reject', maxElements: 2, onError: 'null' })
+
+      const params = [object, param('b', new domain.ArrayShape()
+        .withItems(new domain.ScalarShape().withDataType(TYPES.integer)))]
+
+      for (const sanitization of [instance(params), instance.compile(params)]) {
+        expect(sanitization({ param: '{"__proto__":{}}', b: '[1,2,3]' }))
+          .to.deep.equal({ param: null, b: null })
+        expect(sanitization({ param: '{"a":1}', b: '1' }))
+          .to.deep.equal({ param: { a: 1 }, b: [1] })
+      }
+      expect(() => require('./')({ unsafeKeys: 'keep' })).to.throw(TypeError)
+    })
+
+    it('should never keep unsafe values with the keep error policy', function () {
+      const instance = require('./')({ unsafeKeys: 'reject' })
+      const integer = new domain.ScalarShape().withDataType(TYPES.integer)
+      const params = [
+        param('meta', new domain.NodeShape()),
+        param('either', new domain.UnionShape().withAnyOf([new domain.NodeShape(), integer])),
+        param('nested', new domain.NodeShape().withProperties([
+          property('a', integer)
+        ]))
+      ]
+      const input = JSON.parse(
+        '{"meta":{"__proto__":{"x":1},"a":1},"either":"{\\"__proto__\\":{}}",' +
+        '"nested":"{\\"a\\":1,\\"__proto__\\":{}}"}'
+      )
+
+      for (const sanitization of [instance(params), instance.compile(params)]) {
+        expect(sanitization(input)).to.deep.equal({ meta: null, either: null, nested: null })
+        expect(sanitization({ meta: '{"__proto__":{}}' }))
+          .to.deep.equal({ meta: null, nested: {} })
+        expect(sanitization({ meta: '{"a":1}', either: 'x' }))
+          .to.deep.equal({ meta: { a: 1 }, either: 'x', nested: {} })
+      }
+      expect(instance(params, { report: true })(input).errors).to.have.lengthOf(3)
+    })
+  })
+
+  describe('context', function () {
+    function withContexts (options) {
+      const instance = require('./')(options)
+      const contexts = []
+
+      instance.RULES.maxLength = function (max) {
+        return function (value, key, object, config, context) {
+          contexts.push(context)
+          if (value.length > max) {
+            throw new Error('maxLength: value is too long')
+          }
+          return value
+        }
+      }
+      return { instance, contexts }
+    }
+
+    const elements = () => [property('order', new domain.NodeShape().withProperties([
+      property('items', new domain.ArrayShape().withItems(new domain.NodeShape()
+        .withProperties([
+          property('sku', new domain.ScalarShape().withDataType(TYPES.string)
+            .withMaxLength(3))
+        ]))),
+      property('a/b~c', new domain.ScalarShape().withDataType(TYPES.string)
+        .withMaxLength(3))
+    ]))]
+
+    const input = () => ({
+      order: { items: [{ sku: 'a' }, { sku: 'b' }], 'a/b~c': 'x' }
+    })
+
+    it('should pass the path, root, parent and config to rules', function () {
+      for (const mode of ['sanitize', 'compile']) {
+        const { instance, contexts } = withContexts()
+        const object = input()
+        const sanitization = mode === 'sanitize'
+          ? instance(elements())
+          : instance.compile(elements())
+
+        sanitization(object)
+
+        expect(contexts.map(context => context.path)).to.deep.equal([
+          '/order/items/0/sku',
+          '/order/items/1/sku',
+          '/order/a~1b~0c'
+        ], mode)
+        expect(contexts[1].root).to.equal(object)
+        expect(contexts[1].parent).to.equal(object.order.items[1])
+        expect(contexts[2].parent).to.equal(object.order)
+        expect(contexts[2].config.maxLength).to.equal(3)
+      }
+    })
+
+    it('should pass the array as the parent of items', function () {
+      const { instance, contexts } = withContexts()
+      const object = { tags: ['a', 'b'] }
+
+      instance([property('tags', new domain.ArrayShape().withItems(
+        new domain.ScalarShape().withDataType(TYPES.string).withMaxLength(3)))])(object)
+
+      expect(contexts.map(context => context.path)).to.deep.equal(['/tags/0', '/tags/1'])
+      expect(contexts[0].parent).to.equal(object.tags)
+    })
+
+    it('should pass the context to types', function () {
+      const instance = require('./')()
+      const paths = []
+
+      instance.TYPES.integer = function (value, key, object, config, context) {
+        paths.push(context.path)
+        return Number(value)
+      }
+      instance.rule(new domain.ScalarShape().withDataType(TYPES.integer))('1')
+      instance([property('id', new domain.ScalarShape().withDataType(TYPES.integer))])({ id: '1' })
+
+      expect(paths).to.deep.equal(['', '/id'])
+    })
+
+    it('should set the path of thrown errors', function () {
+      const { instance } = withContexts({ onError: 'throw' })
+      const object = input()
+      object.order.items[1].sku = 'abcd'
+
+      for (const sanitization of [instance(elements()), instance.compile(elements())]) {
+        expect(() => sanitization(object)).to.throw('maxLength: value is too long')
+          .with.property('path', '/order/items/1/sku')
+      }
+    })
+
+    it('should pass the context to async rules', async function () {
+      const { instance, contexts } = withContexts()
+
+      await instance.async(elements())(input())
+
+      expect(contexts.map(context => context.path).sort()).to.deep.equal([
+        '/order/a~1b~0c',
+        '/order/items/0/sku',
+        '/order/items/1/sku'
+      ])
+    })
+
+    it('should pass the request part as the first token', function () {
+      const { instance, contexts } = withContexts()
+      const operation = new domain.Operation().withMethod('get')
+      operation.withRequest().withQueryParameters([
+        new domain.Parameter().withName('q').withSchema(new domain.ScalarShape()
+          .withDataType(TYPES.string).withMaxLength(3))
+      ])
+
+      instance.operation(operation)({ query: { q: 'abc' } })
+
+      expect(contexts.map(context => context.path)).to.deep.equal(['/query/q'])
+    })
+  })
+
+  describe('report', function () {
+    const properties = [
+      new domain.PropertyShape()
+        .withName('age')
+        .withRange(
+          new domain.ScalarShape().withName('age').withDataType(TYPES.integer)
+        ),
+      new domain.PropertyShape()
+        .withName('name')
+        .withRange(
+          new domain.ScalarShape().withName('name').withDataType(TYPES.string)
+        ),
+      new domain.PropertyShape()
+        .withName('tags')
+        .withRange(
+          new domain.ArrayShape().withName('tags')
+            .withItems(new domain.ScalarShape().withDataType(TYPES.number))
+        )
+    ]
+
+    it('should report the JSON pointer of values', function () {
+      const instance = require('./')()
+      const pointers = []
+      const elements = [
+        property('a/b', new domain.NodeShape().withProperties([
+          property('c~d', new domain.ScalarShape().withDataType(TYPES.integer).withMaxLength(1))
+        ]))
+      ]
+
+      instance.RULES.maxLength = function () {
+        return function (value, key, object, config, context) {
+          pointers.push(context.path)
+          throw new Error('maxLength: value is too long')
+        }
+      }
+
+      const result = instance(elements, { report: true })({ 'a/b': { 'c~d': '1' } })
+
+      expect(result.coercions.map(coercion => coercion.pointer)).to.deep.equal(['/a~1b/c~0d'])
+      expect(result.errors.map(error => error.pointer)).to.deep.equal(pointers)
+      expect(pointers).to.deep.equal(['/a~1b/c~0d'])
+    })
+
+    it('should return the sanitized value with errors and coercions', function () {
+      const result = sanitize(properties, { report: true })({
+        age: '12.5',
+        name: 'blakeembrey',
+        tags: ['1', 'abc']
+      })
+
+      expect(result.value).to.deep.equal({
+        age: '12.5',
+        name: 'blakeembrey',
+        tags: [1, 'abc']
+      })
+      expect(result.errors).to.deep.equal([
+        {
+          path: ['age'],
+          pointer: '/age',
+          type: 'integer',
+          value: '12.5',
+          message: 'toInteger: value is not a multiple of 1'
+        },
+        {
+          path: ['tags', 1],
+          pointer: '/tags/1',
+          type: 'number',
+          value: 'abc',
+          message: 'toNumber: value is not finite'
+        }
+      ])
+      expect(result.coercions).to.deep.equal([
+        { path: ['tags', 0], pointer: '/tags/0', type: 'number', value: '1', result: 1 }
+      ])
+    })
+
+    it('should report nested paths', function () {
+      const result = sanitize([
+        new domain.PropertyShape()
+          .withName('user')
+          .withRange(
+            new domain.NodeShape().withName('user').withProperties(properties)
+          )
+      ], { report: true })({ user: { age: '65', tags: '3' } })
+
+      expect(result.value).to.deep.equal({ user: { age: 65, tags: [3] } })
+      expect(result.errors).to.deep.equal([])
+      expect(result.coercions).to.deep.equal([
+        { path: ['user', 'age'], pointer: '/user/age', type: 'integer', value: '65', result: 65 },
+        { path: ['user', 'tags'], pointer: '/user/tags', type: 'array', value: '3', result: ['3'] },
+        { path: ['user', 'tags', 0], pointer: '/user/tags/0', type: 'number', value: '3', result: 3 }
+      ])
+    })
+
+    it('should report a union failing every type once', function () {
+      const result = sanitize(asParam(new domain.UnionShape()
+        .withName('param')
+        .withAnyOf([
+          new domain.ScalarShape().withDataType(TYPES.integer),
+          new domain.ScalarShape().withDataType(TYPES.boolean).withName('x'),
+          new domain.ScalarShape().withDataType(TYPES.date)
+        ])), { report: true })({ param: '1.5' })
+
+      expect(result.value).to.deep.equal({ param: true })
+      expect(result.errors).to.deep.equal([])
+
+      const failed = sanitize(asParam(new domain.UnionShape()
+        .withName('param')
+        .withAnyOf([
+          new domain.ScalarShape().withDataType(TYPES.integer),
+          new domain.ScalarShape().withDataType(TYPES.number)
+        ])), { report: true })({ param: 'abc' })
+
+      expect(failed.value).to.deep.equal({ param: 'abc' })
+      expect(failed.errors).to.deep.equal([
+        {
+          path: ['param'],
+          pointer: '/param',
+          type: ['integer', 'number'],
+          value: 'abc',
+          message: 'toInteger: value is not a multiple of 1, ' +
+            'toNumber: value is not finite'
+        }
+      ])
+    })
+
+    it('should report failing rules', function () {
+      const instance = require('./')()
+      instance.RULES.maxLength = function (max) {
+        return function (value) {
+          if (value.length > max) {
+            throw new Error('maxLength: value is too long')
+          }
+          return value
+        }
+      }
+
+      const result = instance(asParam(new domain.ScalarShape()
+        .withDataType(TYPES.string)
+        .withMaxLength(2)), { report: true })({ param: 'abc' })
+
+      expect(result.value).to.deep.equal({ param: 'abc' })
+      expect(result.errors).to.deep.equal([
+        {
+          path: ['param'],
+          pointer: '/param',
+          type: 'string',
+          rule: 'maxLength',
+          value: 'abc',
+          message: 'maxLength: value is too long'
+        }
+      ])
+    })
+  })
 })